@@ -1,11 +1,23 @@
-import { ChatGroq } from "@langchain/groq";
-import { chromium } from 'playwright';
-import { getInputIds, insertInputValue, getButtonElements, getAnchorElements, getTable } from '../tools/index.js';
+import { getInputIds, insertInputValue, getButtonElements, getAnchorElements, getParsedTables } from '../tools/index.js';
+import { DEFAULT_PROVIDER, loadProvider, buildOutputSchema } from '../providers/index.js';
+import { initializeBrowser } from '../tools/browserPool.js';
+import { getCredentials } from '../tools/credentialVault.js';
+import { getSessionPath, hasSession, saveSession, clearSession } from '../tools/sessionStore.js';
+import { getSiteKey, getCachedSelector, recordSelectors, replayOrAsk } from '../tools/selectorCache.js';
+import { INVOICE_STATUSES, normalizeDate, normalizeInvoice, filterInvoices, extractInvoiceRows } from '../tools/invoices.js';
+import { recordInvoices } from '../tools/invoiceHistory.js';
+import { PDF_INVOICE_SCHEMA, extractPdfText, parseInvoiceText, crossCheckInvoice } from '../tools/pdfInvoice.js';
+import { getArtifactPath, createArtifact } from '../tools/artifacts.js';
+import { AuthFailedError, ElementNotFoundError, LlmSchemaError, DownloadFailedError } from '../tools/errors.js';
+import { createStepLog, okResult, errorResult } from '../tools/agentResult.js';
+import { createModel } from '../llm/index.js';
 import 'dotenv/config';
 import chalk from 'chalk';  // Add this import
 import { z } from "zod";
 import path from "path";
-import os from "os";
+
+// How long a step waits for the page to react, see fetchInvoices
+const STEP_TIMEOUT_MS = Number(process.env.INVOICE_STEP_TIMEOUT_MS) || 20000;
 
 // Add custom logger
 const logger = {
@@ -17,28 +29,12 @@ const logger = {
   debug: (message) => console.log(chalk.gray(`🔍 ${message}`))
 };
 
-const model = new ChatGroq({
-  apiKey: process.env.GROQ_API_KEY,
-  model: "llama-3.1-8b-instant",
-  temperature: 0,
-});
-
-async function initializeBrowser() {
-  const browser = await chromium.launch({ headless: false });
-  const context = await browser.newContext({
-    permissions: [],
-    geolocation: { latitude: 0, longitude: 0 },
-  });
-  global.page = await context.newPage();
-  return browser;
-}
-
 function createInputAnalyzerAgent() {
   const element = z.object({
     elementId: z.string().describe("The ID of the HTML element"),
   });
 
-  const structuredLlm = model.withStructuredOutput(element);
+  const structuredLlm = createModel('inputAnalyzer').withStructuredOutput(element);
 
   return structuredLlm
 }
@@ -48,103 +44,334 @@ function createButtonAnalyzerAgent() {
     buttonText: z.string().describe("The visible text of the login button (e.g., 'Ingresar', 'Acceder', 'Login')"),
   });
 
-  return model.withStructuredOutput(element);
+  return createModel('buttonAnalyzer').withStructuredOutput(element);
 }
 
-function createTableAnalyzerAgent() {
-  const element = z.object({
-    expirationDate: z.string().describe("The expiration date"),
-    amount: z.string().describe("The amount of the invoice"),
-    facturaId: z.string().describe("Extract this id form col 'Factura'"),
+function createTableAnalyzerAgent(profile) {
+  const element = buildOutputSchema(profile);
+
+  return createModel('tableAnalyzer').withStructuredOutput(element);
+}
+
+function createInvoiceListAnalyzerAgent() {
+  const row = z.object({
+    facturaId: z.string().describe("The invoice id as shown in the table"),
+    issueDate: z.string().nullable().describe("The issue date in ISO format (YYYY-MM-DD), null if not shown"),
+    expirationDate: z.string().nullable().describe("The expiration date in ISO format (YYYY-MM-DD), null if not shown"),
+    amount: z.number().describe("The invoice amount as a plain number, without currency symbols or thousands separators"),
+    currency: z.string().nullable().describe("The ISO currency code (e.g., 'ARS', 'USD'), null if not shown"),
+    status: z.enum(INVOICE_STATUSES).describe("'paid' or 'unpaid' when the table shows it, otherwise 'unknown'"),
   });
 
-  return model.withStructuredOutput(element);
+  return createModel('invoiceListAnalyzer').withStructuredOutput(z.object({
+    invoices: z.array(row).describe("Every invoice row of the table, in the same order"),
+  }));
 }
 
-async function invoiceAgent({ url, dowloadFile = false, ussingTelegram = false, userInformation }) {
-  const browser = await initializeBrowser();
-  const user = {
-    username: userInformation && userInformation.username ? userInformation.username : process.env.SANCOR_USERNAME,
-    password: userInformation && userInformation.password ? userInformation.password : process.env.SANCOR_PASSWORD
+function createPdfInvoiceAnalyzerAgent() {
+  return createModel('pdfInvoiceAnalyzer').withStructuredOutput(PDF_INVOICE_SCHEMA);
+}
+
+// Read the downloaded PDF: simple patterns first, the LLM when they cannot find the total
+async function readInvoicePdf(pdfPath) {
+  const text = await extractPdfText(pdfPath);
+  const parsed = parseInvoiceText(text);
+  if (parsed) {
+    logger.success("Invoice PDF parsed by pattern");
+    return parsed;
   }
-  try {
-    const page = global.page;
-    // https://booking.jetsmart.com/V2/Login?culture=es-ar&url=https://jetsmart.com/ar/es/
-    // 'https://www.sancorsalud.com.ar/login/asociados
-    // https://oficinavirtual.camuzzigas.com.ar/landing
-    if (!url) {
-      throw new Error("No URL provided.");
-    }
-    await page.goto(url);
-    logger.info("Navigating to page...");
 
-    await page.waitForLoadState('domcontentloaded');
-    logger.success("Page loaded successfully");
+  logger.info("Invoice PDF layout not recognized, falling back to the LLM");
+  return createPdfInvoiceAnalyzerAgent().invoke(`
+  You are given the text of an Argentinian invoice PDF:
+  ${text}
 
-    const inputIds = await getInputIds({ page: page });
-    logger.debug(`Found input IDs: ${JSON.stringify(inputIds)}`);
+  Extract the issuer, CUIT, billed period, every line item, every tax line,
+  the total, the due date and the CAE. Amounts must be plain numbers and
+  dates ISO (YYYY-MM-DD). Use null (or an empty list) for anything not shown.
+  `);
+}
 
-    const analyzerAgent = createInputAnalyzerAgent();
+// Tell the LLM which of its answers already failed so it picks something else
+function describeFailures(failures) {
+  if (failures.length === 0) return '';
+  return `
+    These answers were already tried and did not work, pick a different one:
+    ${failures.map(failure => `- "${failure.candidate}": ${failure.error}`).join('\n    ')}
+    `;
+}
 
-    // INPUT DE USUARIO
-    logger.debug(`First step Found user input elements`);
+// pick() for steps.retry: the first attempt replays the cached selector (or asks),
+// later attempts ask again with the failed candidates appended to the prompt
+function pickCandidate({ site, step, exists, ask }) {
+  return (failures) => failures.length === 0
+    ? replayOrAsk({ site, step, exists, ask: () => ask(''), log: logger.info })
+    : ask(describeFailures(failures));
+}
 
-    const userInputResult = await analyzerAgent.invoke(`Given these input IDs: ${JSON.stringify(inputIds)} return the username or email input ID`);
+// The one element showing the text the LLM picked: exact matches first, then
+// partial ones. No match or several matches fail, so the LLM can pick again.
+async function locateByText(scope, text) {
+  const exact = scope.getByText(text, { exact: true });
+  const exactCount = await exact.count();
+  if (exactCount === 1) return exact;
+
+  const partial = scope.getByText(text);
+  const count = exactCount > 1 ? exactCount : await partial.count();
+  if (count === 1) return partial;
+  if (count === 0) {
+    throw new ElementNotFoundError(`No element shows the text "${text}"`);
+  }
+  throw new ElementNotFoundError(`The text "${text}" matches ${count} elements`);
+}
 
-    if (userInputResult && userInputResult.elementId) {
-      logger.info(`Username input ID found: ${userInputResult.elementId}`);
-      const insertResult = await insertInputValue({
-        page,
-        inputId: userInputResult.elementId,
-        value: user.username
-      });
+// Tables often render after the page loads; wait until one has data cells
+async function waitForInvoiceTable(page, timeout) {
+  try {
+    await page.waitForFunction(() => document.querySelector('table td') !== null, null, { timeout });
+  } catch (error) {
+    throw new ElementNotFoundError(`No invoice table showed up within ${timeout}ms`, { cause: error });
+  }
+}
 
+// Locate the element that starts the PDF download as described by the provider profile
+function getDownloadTrigger(page, profile, invoiceResult) {
+  const { by, field, value } = profile.download;
+  const target = field ? invoiceResult[field] : value;
+
+  switch (by) {
+    case 'title':
+      return page.getByTitle(target);
+    case 'text':
+      return page.getByText(target);
+    case 'selector':
+      return page.locator(target);
+    default:
+      throw new Error(`Unsupported download trigger: ${by}`);
+  }
+}
+
+// A restored session is valid only when the profile's logged-in marker
+// (session.loggedInSelector) shows up. The lack of a password field proves nothing:
+// half-rendered and error pages have none either.
+async function isSessionValid({ page, profile, hadSession }) {
+  const loggedInSelector = profile.session?.loggedInSelector;
+  if (!hadSession || !loggedInSelector) return false;
+
+  return page.locator(loggedInSelector).first()
+    .waitFor({ state: 'attached', timeout: 5000 })
+    .then(() => true, () => false);
+}
+
+// Fill the login form and submit it, using cached selectors or the LLM analyzers.
+// Every part is a retried step: a wrong pick is reported back to the LLM.
+async function loginWithLlm({ page, profile, site, user, chosenSelectors, textExists, steps, maxAttempts, stepTimeoutMs }) {
+  const inputIds = await getInputIds({ page: page });
+  const inputExists = async (id) => inputIds.includes(id);
+  logger.debug(`Found input IDs: ${JSON.stringify(inputIds)}`);
+
+  const analyzerAgent = createInputAnalyzerAgent();
+  const fillInput = (name, step, description, value) => steps.retry(name, {
+    attempts: maxAttempts,
+    pick: pickCandidate({
+      site,
+      step,
+      exists: inputExists,
+      ask: async (failureNote) => (await analyzerAgent.invoke(`Given these input IDs: ${JSON.stringify(inputIds)} return the ${description} input ID${failureNote}`))?.elementId
+    }),
+    act: async (inputId) => {
+      if (!inputIds.includes(inputId)) {
+        throw new ElementNotFoundError(`There is no input with id "${inputId}"`);
+      }
+      const insertResult = await insertInputValue({ page, inputId, value, timeout: stepTimeoutMs });
+      if (insertResult.status !== 'success') {
+        throw new ElementNotFoundError(insertResult.message);
+      }
       logger.info(insertResult.message);
-    } else {
-      throw new Error("No username input ID found in the analysis result.");
+    },
+    verify: async (inputId) => {
+      if (await page.inputValue(`#${inputId}`) !== value) {
+        throw new ElementNotFoundError(`The input "${inputId}" did not keep the typed value`);
+      }
     }
-    // INPUT DE PASSWORD
-    logger.debug(`Second step found password input elements`);
+  });
+
+  // INPUT DE USUARIO
+  logger.debug(`First step Found user input elements`);
+  const { candidate: userInputId } = await fillInput('fillUsername', 'usernameInput', 'username or email', user.username);
+  logger.info(`Username input ID found: ${userInputId}`);
+  chosenSelectors.usernameInput = userInputId;
+
+  // INPUT DE PASSWORD
+  logger.debug(`Second step found password input elements`);
+  const { candidate: passInputId } = await fillInput('fillPassword', 'passwordInput', 'password', user.password);
+  logger.info(`pass input ID found: ${passInputId}`);
+  chosenSelectors.passwordInput = passInputId;
+
+  // CLICK ON LOGIN
+  logger.debug(`Third step found password input elements`);
+  const buttonResult = await getButtonElements({ page });
+  if (buttonResult.success) {
+    logger.debug(`Found buttons: ${JSON.stringify(buttonResult.buttons)}`);
+    const buttonAnalyzer = createButtonAnalyzerAgent();
+    const loginPageUrl = page.url();
+
+    const { candidate: loginButtonText } = await steps.retry('clickLogin', {
+      attempts: maxAttempts,
+      pick: pickCandidate({
+        site,
+        step: 'loginButton',
+        exists: textExists,
+        ask: async (failureNote) => (await buttonAnalyzer.invoke(`
+    You are given a list of buttons from a login page:
+    ${JSON.stringify(buttonResult.buttons)} 
+
+    Your task is to select ONLY the button that most likely corresponds 
+    to the login action (e.g., "Ingresar", "Acceder", "Login", "Entrar").
+    ${failureNote}
+    Return its visible text only.
+    `))?.buttonText
+      }),
+      act: async (loginButtonText, attempt) => {
+        // A wrong pick may have left the login page or cleared the form
+        if (attempt > 1) {
+          await page.goto(loginPageUrl);
+          await page.waitForLoadState('domcontentloaded');
+          for (const [inputId, value] of [[userInputId, user.username], [passInputId, user.password]]) {
+            const insertResult = await insertInputValue({ page, inputId, value, timeout: stepTimeoutMs });
+            if (insertResult.status !== 'success') {
+              throw new ElementNotFoundError(insertResult.message);
+            }
+          }
+        }
+        logger.info(`Login button chosen: ${loginButtonText}`);
+        await (await locateByText(page, loginButtonText)).click({ timeout: stepTimeoutMs });
+      },
+      // AuthFailedError is final: trying other buttons will not fix the credentials
+      verify: () => verifyLogin({ page, profile, site, timeout: stepTimeoutMs })
+    });
+
+    chosenSelectors.loginButton = loginButtonText;
+    logger.success("Clicked login button successfully");
+  }
+}
 
-    const passInputResult = await analyzerAgent.invoke(`Given these input IDs: ${JSON.stringify(inputIds)} return the password input ID`);
+// Messages sites show next to the login form when the credentials are wrong
+const LOGIN_REJECTED = /(usuario|contrase[ñn]a|clave|credenciales|datos|user(name)?|password|credentials)[^.\n]{0,60}(incorrect|inv[aá]lid|err[oó]ne|no (son )?v[aá]lid|wrong|invalid)/i;
+
+// What a logged-in page shows: the profile's logged-in marker, or a link to the
+// invoices (the one cached for this site or one of navigation.linkTexts)
+function loggedInMarkers(page, profile, site) {
+  const linkTexts = [getCachedSelector(site, 'invoiceLink'), ...(profile.navigation?.linkTexts || [])].filter(Boolean);
+  return [
+    ...(profile.session?.loggedInSelector ? [page.locator(profile.session.loggedInSelector)] : []),
+    ...linkTexts.map(text => page.locator('a, button').filter({ hasText: text }))
+  ];
+}
 
-    if (passInputResult && passInputResult.elementId) {
-      logger.info(`pass input ID found: ${passInputResult.elementId}`);
-      const insertResult = await insertInputValue({
-        page,
-        inputId: passInputResult.elementId,
-        value: user.password
-      });
+// The login worked only once a logged-in marker shows up. A rejection message
+// means wrong credentials (AuthFailedError, final); anything else, like a pick that
+// opened "Olvidé mi clave" or did nothing, fails the attempt so another button is tried.
+async function verifyLogin({ page, profile, site, timeout }) {
+  const markers = loggedInMarkers(page, profile, site);
+  const deadline = Date.now() + timeout;
 
-      logger.info(insertResult.message);
-    } else {
-      throw new Error("No password input ID found in the analysis result.");
+  do {
+    for (const marker of markers) {
+      if (await marker.first().isVisible().catch(() => false)) return;
     }
-    // CLICK ON LOGIN
-    logger.debug(`Third step found password input elements`);
-    const buttonResult = await getButtonElements({ page });
-    if (buttonResult.success) {
-      console.log(buttonResult);
-      const buttonAnalyzer = createButtonAnalyzerAgent();
-      console.log(JSON.stringify(buttonResult.buttons));
+    const pageText = await page.locator('body').innerText().catch(() => '');
+    const rejection = pageText.match(LOGIN_REJECTED);
+    if (rejection) {
+      throw new AuthFailedError(`The site rejected the credentials: "${rejection[0]}"`);
+    }
+    await page.waitForTimeout(250);
+  } while (Date.now() < deadline);
 
-      const buttonLoginResult = await buttonAnalyzer.invoke(`
-      You are given a list of buttons from a login page:
-      ${JSON.stringify(buttonResult.buttons)} 
+  throw new ElementNotFoundError(`No logged-in page showed up within ${timeout}ms of submitting the login form`);
+}
 
-      Your task is to select ONLY the button that most likely corresponds 
-      to the login action (e.g., "Ingresar", "Acceder", "Login", "Entrar").
-      
-      Return its visible text only.
-      `);
-
-      if (buttonLoginResult?.buttonText) {
-        logger.info(`Login button chosen: ${buttonLoginResult.buttonText}`);
-        await page.getByText(buttonLoginResult.buttonText).click();
-        logger.success("Clicked login button successfully");
-      } else {
-        throw new Error("No login button detected by LLM.");
+// browserOptions: { headless, slowMo, viewport, locale, userAgent, proxy, storageStatePath }
+// browserPool (optional) lends a context from a shared browser instead of launching one,
+// signal (optional AbortSignal) closes the page to stop a cancelled or timed out run
+// credentialsOwner reads the credentials stored in the vault for this provider
+// persistSession stores cookies/localStorage per provider, owner and credentials to skip the
+// login next time; only for profiles with session.loggedInSelector (and optionally
+// session.checkUrl, the page to open to check it)
+// saveHistory keeps every fetched invoice (and its PDF) in the local invoice history
+// outputDir and fileNameTemplate say where the PDF goes (see tools/artifacts.js);
+// invoiceResult.artifact describes it, temporaryArtifacts marks it for deletion after delivery
+// parsePdf reads the downloaded PDF into invoiceResult.pdf and lists in
+// invoiceResult.mismatches where it disagrees with the table
+// mode 'latest' returns a single invoice object, mode 'all' returns every table row
+// as an array, narrowed down by filters ({ onlyUnpaid, since, limit })
+// maxAttempts is how many candidates each browser step tries and stepTimeoutMs how
+// long it waits for the page to react (table shown, logged-in page shown, download started)
+async function fetchInvoices({ provider = DEFAULT_PROVIDER, url, dowloadFile = false, ussingTelegram = false, userInformation, mode = 'latest', filters = {}, browserOptions = {}, browserPool, signal, persistSession = true, credentialsOwner, saveHistory = true, parsePdf = true, outputDir, fileNameTemplate, temporaryArtifacts = false, maxAttempts = 3, stepTimeoutMs = STEP_TIMEOUT_MS }, steps) {
+  if (filters.since && !normalizeDate(filters.since)) {
+    throw new Error(`Invalid 'since' date: ${filters.since}. Use YYYY-MM-DD.`);
+  }
+  const profile = loadProvider(provider);
+  const credentialsEnv = profile.credentialsEnv || {};
+  if (signal?.aborted) {
+    throw signal.reason;
+  }
+  // Credentials: explicit userInformation, then the vault entry of credentialsOwner, then env vars
+  const vaultCredentials = !userInformation?.username && credentialsOwner ? getCredentials(credentialsOwner, profile.id) : null;
+  const storedUser = userInformation?.username ? userInformation : vaultCredentials || {};
+  const user = {
+    username: storedUser.username ? storedUser.username : process.env[credentialsEnv.username],
+    password: storedUser.password ? storedUser.password : process.env[credentialsEnv.password]
+  }
+  // Sessions are only kept for profiles that say how to recognize them (see isSessionValid)
+  // and for a known owner and password (see tools/sessionStore.js)
+  const sessionPath = persistSession && profile.session?.loggedInSelector && user.username && user.password
+    ? getSessionPath(profile.id, { owner: credentialsOwner, ...user })
+    : null;
+  const hadSession = hasSession(sessionPath);
+  const contextOptions = hadSession ? { ...browserOptions, storageStatePath: sessionPath } : browserOptions;
+  const browserSession = browserPool ? await browserPool.acquire(contextOptions) : await initializeBrowser(contextOptions);
+  const { page } = browserSession;
+  const onAbort = () => browserSession.context.close().catch(() => {});
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    const loginUrl = url || profile.loginUrl;
+    if (!loginUrl) {
+      throw new Error("No URL provided.");
+    }
+    logger.step(`Fetching invoice from ${profile.name}`);
+    const startUrl = hadSession && !url && profile.session?.checkUrl ? profile.session.checkUrl : loginUrl;
+    await steps.run('openPage', async () => {
+      await page.goto(startUrl);
+      logger.info("Navigating to page...");
+
+      await page.waitForLoadState('domcontentloaded');
+      logger.success("Page loaded successfully");
+    });
+
+    const site = getSiteKey(loginUrl);
+    const chosenSelectors = {};
+    // Give a navigation in progress a moment to render the cached element
+    const textExists = (text) => page.getByText(text).first()
+      .waitFor({ state: 'attached', timeout: 5000 })
+      .then(() => true, () => false);
+
+    const sessionRestored = await isSessionValid({ page, profile, hadSession });
+    if (sessionRestored) {
+      logger.success("Stored session is still valid, skipping login");
+      steps.skip('login', 'stored session is still valid');
+    } else {
+      if (!user.username || !user.password) {
+        throw new AuthFailedError(`No credentials for ${profile.id}. Set ${credentialsEnv.username}/${credentialsEnv.password} or store them in the vault.`);
+      }
+      if (hadSession) {
+        logger.info("Stored session expired, logging in again");
       }
+      if (startUrl !== loginUrl) {
+        await page.goto(loginUrl);
+        await page.waitForLoadState('domcontentloaded');
+      }
+      await loginWithLlm({ page, profile, site, user, chosenSelectors, textExists, steps, maxAttempts, stepTimeoutMs });
     }
 
     await page.waitForLoadState('domcontentloaded');
@@ -154,81 +381,262 @@ async function invoiceAgent({ url, dowloadFile = false, ussingTelegram = false,
     const facturaResult = await getAnchorElements({ page });
     if (facturaResult.success) {
       const facturaAnalyzer = createButtonAnalyzerAgent();
-
-      const buttonFacturaResult = await facturaAnalyzer.invoke(`
+      const menuUrl = page.url();
+
+      const { candidate: facturaLinkText } = await steps.retry('openInvoices', {
+        attempts: maxAttempts,
+        pick: pickCandidate({
+          site,
+          step: 'invoiceLink',
+          exists: textExists,
+          ask: async (failureNote) => (await facturaAnalyzer.invoke(`
       You are given a list of anchor elements from a login page:
       ${JSON.stringify(facturaResult.anchorElements)} 
 
       Your task is to select ONLY the button that most likely corresponds 
-      to the invoice action (e.g., "Invoice", "Facturas").
-
+      to ${profile.navigation.hint}.
+      ${failureNote}
       Return its visible text only.
-      `);
-
-      if (buttonFacturaResult?.buttonText) {
-        logger.info(`Factura button chosen: ${buttonFacturaResult.buttonText}`);
-        await page.getByText(buttonFacturaResult.buttonText).click();
-        logger.success("Clicked factura button successfully");
-      } else {
-        throw new Error("No factura button detected by LLM.");
-      }
+      `))?.buttonText
+        }),
+        act: async (facturaLinkText) => {
+          // A wrong link may have left the menu, go back before trying another one
+          if (page.url() !== menuUrl) {
+            await page.goto(menuUrl);
+          }
+          logger.info(`Factura button chosen: ${facturaLinkText}`);
+          await (await locateByText(page, facturaLinkText)).click({ timeout: stepTimeoutMs });
+        },
+        verify: () => waitForInvoiceTable(page, stepTimeoutMs)
+      });
+
+      chosenSelectors.invoiceLink = facturaLinkText;
+      logger.success("Clicked factura button successfully");
+    } else {
+      steps.skip('openInvoices', facturaResult.message);
     }
+
     // GET factura TABLE
     logger.debug(`Get the invoice information`);
-    await page.waitForTimeout(10000);
-    const facturaTable = await getTable({ page });
-    let invoiceResult = null;
-    if (facturaTable.success) {
-      const tablenalyzer = createTableAnalyzerAgent();
-      invoiceResult = await tablenalyzer.invoke(`
-        You are given the following table elements:
-        ${JSON.stringify(facturaTable.tableElements)}
-
-        Return **only a JSON object** with the following fields:
-        {
-          "expirationDate": "...",
-          "amount": "...",
-          "facturaId": "..."
-        }
-        The JSON must be parseable and match the schema exactly.
-        `);
-
-      if (invoiceResult) {
-        logger.info(`Invoice found: ${JSON.stringify(invoiceResult, null, 2)}`);
-        logger.success("Invoice found successfully");
-      } else {
-        throw new Error("No factura button detected by LLM.");
+    await steps.run('waitForTable', () => waitForInvoiceTable(page, stepTimeoutMs));
+    const facturaTable = await getParsedTables({ page });
+    if (!facturaTable.success) {
+      throw new ElementNotFoundError(`No invoice table found: ${facturaTable.message}`);
+    }
+    const tablesJSON = JSON.stringify(facturaTable.tables);
+    const tableText = facturaTable.tables.flatMap(table => table.rows.flatMap(row => Object.values(row))).join('\n');
+
+    // Try to read the columns by header name before asking the LLM
+    const tableRows = extractInvoiceRows(facturaTable.tables, profile.table.columns);
+    if (tableRows) {
+      logger.success(`Invoice columns matched by header name (${tableRows.length} rows)`);
+    } else {
+      logger.info("Invoice table headers are ambiguous, falling back to the LLM");
+    }
+
+    // Every invoice id the LLM answers with must show up in the table, otherwise it is asked again
+    const normalizeRows = rows => rows.map(row => normalizeInvoice(row, { currency: profile.table.currency }));
+    const verifyInTable = (candidate, invoices) => {
+      const missing = invoices.filter(invoice => invoice.facturaId && !tableText.includes(invoice.facturaId));
+      if (missing.length > 0) {
+        throw new LlmSchemaError(`Invoice ${missing.map(invoice => invoice.facturaId).join(', ')} is not in the table`);
       }
+    };
 
+    let invoiceResult = null;
+    let invoiceList = [];
+    let fetchedInvoices = [];
+    if (mode === 'all') {
+      const listAnalyzer = createInvoiceListAnalyzerAgent();
+      const { result: invoices } = await steps.retry('readInvoices', {
+        attempts: maxAttempts,
+        errorType: LlmSchemaError,
+        label: rows => rows.map(row => row.facturaId).join(', '),
+        pick: async (failures) => {
+          if (tableRows && failures.length === 0) return tableRows;
+
+          const listResult = await listAnalyzer.invoke(`
+          You are given the following tables (headers and rows):
+          ${tablesJSON}
+
+          The relevant columns are usually named: ${JSON.stringify(profile.table.columns)}
+
+          Return EVERY invoice row of the table, not just the first one.
+          Dates must be ISO (YYYY-MM-DD) and amounts plain numbers.
+          Set status to 'paid' or 'unpaid' only when the table shows it.
+          ${describeFailures(failures)}
+          `);
+          return listResult?.invoices;
+        },
+        act: async (rows) => normalizeRows(rows),
+        verify: verifyInTable
+      });
+
+      fetchedInvoices = invoices;
+      invoiceList = filterInvoices(invoices, filters);
+      invoiceResult = invoiceList[0] || null;
+      logger.info(`Invoices found: ${invoices.length}, after filters: ${invoiceList.length}`);
+      logger.success("Invoices found successfully");
+    } else {
+      const outputFields = Object.keys(profile.outputSchema);
+      const headersMatch = tableRows && tableRows.length > 0 && outputFields.every(field => field in tableRows[0]);
+      const tablenalyzer = createTableAnalyzerAgent(profile);
+
+      const { candidate, result } = await steps.retry('readInvoices', {
+        attempts: maxAttempts,
+        errorType: LlmSchemaError,
+        label: invoice => invoice.facturaId,
+        pick: async (failures) => {
+          if (headersMatch && failures.length === 0) {
+            return Object.fromEntries(outputFields.map(field => [field, tableRows[0][field]]));
+          }
+
+          return tablenalyzer.invoke(`
+          You are given the following tables (headers and rows):
+          ${tablesJSON}
+
+          The relevant columns are usually named: ${JSON.stringify(profile.table.columns)}
+
+          Return **only a JSON object** with the following fields:
+          ${JSON.stringify(Object.fromEntries(outputFields.map(field => [field, "..."])), null, 2)}
+          The JSON must be parseable and match the schema exactly.
+          ${describeFailures(failures)}
+          `);
+        },
+        act: async (invoice) => normalizeRows([invoice]),
+        verify: verifyInTable
+      });
+
+      invoiceResult = candidate;
+      fetchedInvoices = result;
+      logger.info(`Invoice found: ${JSON.stringify(invoiceResult, null, 2)}`);
+      logger.success("Invoice found successfully");
     }
 
-    if (dowloadFile) {
+    // In 'all' mode only the first matching invoice is downloaded
+    const pdfPaths = {};
+    if (dowloadFile && invoiceResult) {
       logger.info(`Downloading invoice with ID: ${invoiceResult.facturaId}`);
+      const { by, field, value } = profile.download;
+      const buttonAnalyzer = createButtonAnalyzerAgent();
+      const invoiceRow = page.locator('tr', { hasText: invoiceResult.facturaId }).last();
+
+      // The profile says which element starts the download; when it does not
+      // work the LLM picks one among the links and buttons of the invoice row
+      const { result: download } = await steps.retry('download', {
+        attempts: maxAttempts,
+        errorType: DownloadFailedError,
+        pick: async (failures, attempt) => {
+          if (attempt === 1) return `${by} "${field ? invoiceResult[field] : value}"`;
+
+          const rowElements = await invoiceRow.locator('a, button').evaluateAll(elements => elements.map(el => ({
+            buttonHTML: el.outerHTML,
+            text: el.textContent.trim()
+          })));
+          return (await buttonAnalyzer.invoke(`
+          You are given the links and buttons of the table row for invoice ${invoiceResult.facturaId}:
+          ${JSON.stringify(rowElements)}
+
+          Your task is to select ONLY the one that downloads the invoice PDF.
+          ${describeFailures(failures)}
+          Return its visible text only.
+          `))?.buttonText;
+        },
+        act: async (candidate, attempt) => {
+          const scope = await invoiceRow.count() > 0 ? invoiceRow : page;
+          const trigger = attempt === 1 ? getDownloadTrigger(page, profile, invoiceResult) : await locateByText(scope, candidate);
+
+          // esperamos la descarga al mismo tiempo que clickeamos
+          const [download] = await Promise.all([
+            page.waitForEvent("download", { timeout: stepTimeoutMs }),  // 👈 espera la descarga
+            trigger.click({ timeout: stepTimeoutMs }),                  // 👈 dispara el click que la inicia
+          ]);
+          return download;
+        },
+        verify: async (candidate, download) => {
+          const failure = await download.failure();
+          if (failure) {
+            throw new DownloadFailedError(`The download did not finish: ${failure}`);
+          }
+        }
+      });
 
-      // armamos ruta al escritorio
-      const desktopPath = path.join(os.homedir(), "Desktop", `${invoiceResult.facturaId}.pdf`);
+      // guardamos el archivo en outputDir con el nombre del template
+      const filePath = getArtifactPath({
+        outputDir,
+        template: fileNameTemplate,
+        values: { provider: profile.id, facturaId: invoiceResult.facturaId },
+        ext: path.extname(download.suggestedFilename() || '') || '.pdf'
+      });
+      await download.saveAs(filePath);
+
+      const artifact = await createArtifact(filePath, { temporary: temporaryArtifacts });
+      invoiceResult = { ...invoiceResult, artifact };
+      pdfPaths[invoiceResult.facturaId] = filePath;
+      logger.success(`Invoice PDF saved at: ${filePath} (${artifact.size} bytes)`);
+
+      // A PDF that cannot be read does not fail the run, the invoice was still downloaded
+      if (parsePdf) {
+        try {
+          const pdf = await steps.run('parsePdf', () => readInvoicePdf(filePath));
+          const mismatches = crossCheckInvoice(invoiceResult, pdf);
+          mismatches.forEach(mismatch => logger.error(`PDF mismatch (${mismatch.field}): ${mismatch.message}`));
+          invoiceResult = { ...invoiceResult, pdf, mismatches };
+        } catch (error) {
+          logger.error(`Invoice PDF could not be parsed: ${error.message}`);
+        }
+      }
 
-      // esperamos la descarga al mismo tiempo que clickeamos
-      const [download] = await Promise.all([
-        page.waitForEvent("download"),                     // 👈 espera la descarga
-        page.getByTitle(invoiceResult.facturaId).click(),  // 👈 dispara el click que la inicia
-      ]);
+      if (mode === 'all') {
+        invoiceList[0] = invoiceResult;
+      }
+    } else {
+      steps.skip('download', dowloadFile ? 'no invoice to download' : 'not requested');
+    }
 
-      // guardamos el archivo en el escritorio
-      await download.saveAs(desktopPath);
+    // History is keyed by the vault owner when there is one, else by the username
+    const historyOwner = credentialsOwner ?? user.username;
+    if (saveHistory && historyOwner && fetchedInvoices.length > 0) {
+      try {
+        await steps.run('saveHistory', async () => recordInvoices(historyOwner, profile.id, fetchedInvoices, { pdfPaths }));
+        logger.debug(`${fetchedInvoices.length} invoice(s) saved in the history`);
+      } catch (error) {
+        logger.error(`Invoice history could not be saved: ${error.message}`);
+      }
+    }
 
-      logger.success(`Invoice PDF saved at: ${desktopPath}`);
-      
-      await page.waitForTimeout(2000);
-      return invoiceResult;
-    } else {
-      return invoiceResult;
+    // Only a run that got this far is worth replaying next time
+    recordSelectors(site, chosenSelectors);
+    if (sessionPath) {
+      await saveSession(browserSession.context, sessionPath);
+      logger.debug(`Session stored at ${sessionPath}`);
     }
 
+    return mode === 'all' ? invoiceList : invoiceResult;
+
   } catch (error) {
-    logger.error(`Error: ${error.message}`);
+    // A stored session that led to a failed run is not worth restoring again
+    clearSession(sessionPath);
+    throw error;
   } finally {
-    await browser.close();
+    signal?.removeEventListener('abort', onAbort);
+    await browserSession.close();
+  }
+}
+
+// Returns { ok, data, error, steps } (see tools/agentResult.js); data is the
+// invoice in 'latest' mode and the invoice list in 'all' mode
+async function invoiceAgent(options = {}) {
+  const steps = createStepLog({ signal: options.signal });
+  try {
+    const data = await fetchInvoices(options, steps);
+    return okResult(data, steps.steps);
+  } catch (error) {
+    // An aborted run fails with the reason the queue gave (TimeoutError, CancelledError),
+    // not with whatever the closed page threw
+    const failure = options.signal?.aborted ? options.signal.reason : error;
+    logger.error(`Error: ${failure.message}`);
+    return errorResult(failure, steps.steps);
   }
 }
 
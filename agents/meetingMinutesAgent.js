@@ -0,0 +1,97 @@
+import { createModel } from "../llm/index.js";
+import fs from 'fs/promises';
+import path from 'path';
+import { z } from "zod";
+import chalk from 'chalk';
+import 'dotenv/config';
+import { createStepLog, okResult, errorResult } from '../tools/agentResult.js';
+import { normalizeMinutes, exportMinutes } from '../tools/meetingMinutes.js';
+
+const logger = {
+  step: (message) => console.log(chalk.blue.bold(`\n🔷 ${message}\n`)),
+  info: (message) => console.log(chalk.cyan(`ℹ️  ${message}`)),
+  success: (message) => console.log(chalk.green(`✅ ${message}`)),
+  error: (message) => console.log(chalk.red(`❌ ${message}`))
+};
+
+function createMinutesExtractorAgent() {
+  const minutesSchema = z.object({
+    title: z.string().describe("Short title for the meeting, in the language of the transcription"),
+    attendees: z.array(z.string()).describe("People who took part: the speaker names, plus anyone addressed or introduced by name"),
+    decisions: z.array(z.string()).describe("What was agreed or decided, one entry per decision"),
+    actionItems: z.array(z.object({
+      task: z.string().describe("What has to be done"),
+      owner: z.string().nullable().describe("Who will do it, null when nobody took it on"),
+      dueDate: z.string().nullable().describe("Due date as YYYY-MM-DD, null when none was mentioned")
+    })).describe("Tasks somebody has to do after the meeting"),
+    openQuestions: z.array(z.string()).describe("Questions raised and left unanswered, or deferred to later"),
+    nextMeeting: z.string().nullable().describe("Date (YYYY-MM-DD) of the next meeting, null when it was not set")
+  });
+
+  return createModel('meetingMinutes').withStructuredOutput(minutesSchema);
+}
+
+// Minutes for a meeting transcription (preferably the speaker labelled one, so
+// owners and attendees have names). speakers lists those labels; meetingDate
+// (YYYY-MM-DD, today by default) turns "next Friday" into a date. With outputFormat
+// ('markdown' or 'json') the minutes are also saved, to outputPath or temp/.
+async function extractMinutes({
+  transcription,
+  speakers = [],
+  meetingDate = new Date().toISOString().slice(0, 10),
+  outputFormat = null,
+  outputPath = null
+}, steps) {
+  logger.step("Meeting Minutes Agent Starting");
+  if (!transcription?.trim()) {
+    throw new Error('There is no transcription to take minutes from');
+  }
+
+  const minutes = await steps.run('extract', async () => {
+    logger.info("Extracting minutes from the transcription...");
+    const extractor = createMinutesExtractorAgent();
+
+    const extracted = await extractor.invoke(`
+      Write the minutes of this meeting, in the SAME LANGUAGE as the transcription.
+
+      The meeting took place on ${meetingDate}; resolve relative dates ("next Friday",
+      "end of the month") from it and write them as YYYY-MM-DD.
+      ${speakers.length > 0 ? `Each paragraph starts with the speaker (${speakers.join(', ')}). Use these names for attendees and owners.` : ''}
+
+      Transcription:
+      "${transcription}"
+
+      Only include what was actually said: do not invent owners, dates or decisions.
+    `);
+
+    return normalizeMinutes(extracted, { meetingDate });
+  });
+  logger.success(`Minutes: ${minutes.decisions.length} decision(s), ${minutes.actionItems.length} action item(s)`);
+
+  const result = { minutes };
+  if (outputFormat) {
+    await steps.run('save', async () => {
+      const outputFile = outputPath || path.join(process.cwd(), 'temp', `minutes_${Date.now()}.${outputFormat === 'json' ? 'json' : 'md'}`);
+      await fs.mkdir(path.dirname(outputFile), { recursive: true });
+      await fs.writeFile(outputFile, exportMinutes(minutes, outputFormat), 'utf-8');
+      logger.success(`Minutes saved to: ${outputFile}`);
+      result.outputFile = outputFile;
+    });
+  }
+
+  return result;
+}
+
+// Returns { ok, data, error, steps } like the other agents; data is { minutes, outputFile? }
+async function minutesAgent(options) {
+  const steps = createStepLog();
+  try {
+    const data = await extractMinutes(options, steps);
+    return okResult(data, steps.steps);
+  } catch (error) {
+    logger.error(`Minutes failed: ${error.message}`);
+    return errorResult(error, steps.steps);
+  }
+}
+
+export { minutesAgent };
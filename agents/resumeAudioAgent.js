@@ -1,10 +1,24 @@
-import { ChatGroq } from "@langchain/groq";
+import { createModel } from "../llm/index.js";
 import fs from 'fs/promises';
+import { existsSync } from 'fs';
 import path from 'path';
 import os from 'os';
 import { z } from "zod";
 import chalk from 'chalk';
 import 'dotenv/config';
+import { TranscriptionProviderError } from '../tools/errors.js';
+import { createStepLog, okResult, errorResult } from '../tools/agentResult.js';
+import { transcribeWithWhisperCpp, getWhisperModelPath } from '../tools/localWhisper.js';
+import { getAudioDuration } from '../tools/ffmpeg.js';
+import { CHUNK_SECONDS, CHUNK_OVERLAP_SECONDS, splitAudio, stitchTranscripts } from '../tools/audioChunks.js';
+import { createJobQueue } from '../tools/jobQueue.js';
+import { createTranscriptionRegistry } from '../tools/transcriptionProviders.js';
+import { diarizeAudio, assignSpeakers, renameSpeakers, summarizeSpeakers, formatSpeakerText } from '../tools/diarization.js';
+
+// Files above the cloud upload limit (25MB for Groq and OpenAI Whisper) are
+// always split; smaller ones when they are longer than one chunk
+const CLOUD_MAX_BYTES = 25 * 1024 * 1024;
+const CHUNK_CONCURRENCY = Number(process.env.TRANSCRIPTION_CONCURRENCY) || 2;
 
 // Logger similar to your implementation
 const logger = {
@@ -16,12 +30,6 @@ const logger = {
   debug: (message) => console.log(chalk.gray(`🔍 ${message}`))
 };
 
-const model = new ChatGroq({
-  apiKey: process.env.GROQ_API_KEY,
-  model: "llama-3.1-8b-instant",
-  temperature: 0,
-});
-
 // Schema definitions
 function createTranscriptionAnalyzerAgent() {
   const analysisSchema = z.object({
@@ -30,10 +38,19 @@ function createTranscriptionAnalyzerAgent() {
     speakerCount: z.number().describe("Estimated number of different speakers"),
     contentType: z.enum(['meeting', 'interview', 'lecture', 'phone_call', 'other']).describe("Type of audio content"),
     keyTopics: z.array(z.string()).describe("Main topics or themes discussed"),
-    summary: z.string().describe("Brief summary of the content")
+    summary: z.string().describe("Brief summary of the content"),
+    // Only filled in when the transcription has speaker labels
+    speakerStatements: z.array(z.object({
+      speaker: z.string().describe("Speaker label exactly as in the transcription"),
+      statement: z.string().describe("What this speaker said, stated or proposed")
+    })).describe("The most important statements with the speaker who made each one; empty without speaker labels"),
+    actionItems: z.array(z.object({
+      speaker: z.string().describe("Speaker label of who took on or was given the task, exactly as in the transcription"),
+      task: z.string().describe("The task to be done")
+    })).describe("Tasks agreed in the conversation with the speaker responsible; empty without speaker labels")
   });
 
-  return model.withStructuredOutput(analysisSchema);
+  return createModel('transcriptionAnalyzer').withStructuredOutput(analysisSchema);
 }
 
 function createTranscriptionCleanerAgent() {
@@ -43,7 +60,7 @@ function createTranscriptionCleanerAgent() {
     mainIssuesFixed: z.array(z.string()).describe("Types of issues that were fixed (e.g., punctuation, grammar, formatting)")
   });
 
-  return model.withStructuredOutput(cleaningSchema);
+  return createModel('transcriptionCleaner').withStructuredOutput(cleaningSchema);
 }
 
 // Audio file utilities
@@ -57,12 +74,6 @@ async function validateAudioFile(filePath) {
       throw new Error(`Unsupported file format: ${extension}`);
     }
 
-    const maxSize = 25 * 1024 * 1024; // 25MB limit for OpenAI Whisper
-    if (stats.size > maxSize) {
-      logger.info(`File size: ${(stats.size / 1024 / 1024).toFixed(2)}MB`);
-      throw new Error(`File too large. Maximum size is 25MB`);
-    }
-
     return { valid: true, size: stats.size, extension };
   } catch (error) {
     return { valid: false, error: error.message };
@@ -71,13 +82,14 @@ async function validateAudioFile(filePath) {
 
 // Transcription services
 async function transcribeWithGroqWhisper(audioPath, options = {}) {
-  const Groq = (await import('groq-sdk')).default;
+  try {
+    // Inside the try: a missing API key makes the client throw, which is one more failed service
+    const Groq = (await import('groq-sdk')).default;
 
-  const groq = new Groq({
-    apiKey: process.env.GROQ_API_KEY
-  });
+    const groq = new Groq({
+      apiKey: process.env.GROQ_API_KEY
+    });
 
-  try {
     logger.step("Starting Groq Whisper transcription...");
 
     const audioFile = await fs.readFile(audioPath);
@@ -107,13 +119,13 @@ async function transcribeWithGroqWhisper(audioPath, options = {}) {
 
 // Keep OpenAI as fallback option
 async function transcribeWithOpenAIWhisper(audioPath, options = {}) {
-  const { OpenAI } = await import('openai');
+  try {
+    const { OpenAI } = await import('openai');
 
-  const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-  });
+    const openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
 
-  try {
     logger.step("Starting OpenAI Whisper transcription...");
 
     const audioFile = await fs.readFile(audioPath);
@@ -143,15 +155,156 @@ async function transcribeWithOpenAIWhisper(audioPath, options = {}) {
   }
 }
 
+// Runs whisper.cpp on this machine (see tools/localWhisper.js), so the audio never
+// leaves it. options.whisper: { modelSize, threads }
 async function transcribeWithLocalWhisper(audioPath, options = {}) {
-  // This would use a local Whisper implementation
-  // You could use: @xenova/transformers, whisper-node, or python subprocess
-  logger.info("Local Whisper not implemented yet - falling back to cloud");
-  return { success: false, error: "Local whisper not available" };
+  try {
+    logger.step("Starting local Whisper transcription...");
+
+    const result = await transcribeWithWhisperCpp(audioPath, {
+      ...options.whisper,
+      language: options.language
+    });
+
+    return {
+      success: true,
+      text: result.text,
+      timestamps: options.includeTimestamps ? result.segments : null,
+      service: 'local-whisper'
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      service: 'local-whisper'
+    };
+  }
+}
+
+// The services above return { success: false } instead of throwing; the registry wants a throw
+const throwOnFailure = transcribe => async (audioPath, options) => {
+  const result = await transcribe(audioPath, options);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result;
+};
+
+// Module level, so a service that just failed is skipped by the next requests too.
+// Registration order is the 'default' policy: local first, then the cloud services.
+const transcriptionProviders = createTranscriptionRegistry();
+
+transcriptionProviders.register({
+  id: 'local-whisper',
+  name: 'whisper.cpp on this machine',
+  local: true,
+  costPerMinute: 0,
+  speed: 1,
+  capabilities: { timestamps: true, maxBytes: null, languages: null },
+  isConfigured: (options) => {
+    try {
+      return existsSync(getWhisperModelPath(options.whisper?.modelSize));
+    } catch {
+      return false;
+    }
+  },
+  transcribe: throwOnFailure(transcribeWithLocalWhisper)
+});
+
+transcriptionProviders.register({
+  id: 'groq-whisper',
+  name: 'Groq whisper-large-v3',
+  costPerMinute: 0.111 / 60,
+  speed: 150,
+  capabilities: { timestamps: true, maxBytes: CLOUD_MAX_BYTES, languages: null },
+  isConfigured: () => Boolean(process.env.GROQ_API_KEY),
+  transcribe: throwOnFailure(transcribeWithGroqWhisper)
+});
+
+transcriptionProviders.register({
+  id: 'openai-whisper',
+  name: 'OpenAI whisper-1',
+  costPerMinute: 0.006,
+  speed: 20,
+  capabilities: { timestamps: true, maxBytes: CLOUD_MAX_BYTES, languages: null },
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  transcribe: throwOnFailure(transcribeWithOpenAIWhisper)
+});
+
+// Tries the providers options.policy picks for this file (see tools/transcriptionProviders.js).
+// The result and the TranscriptionProviderError details carry every attempt.
+async function transcribeWithServices(audioPath, options) {
+  const { size } = await fs.stat(audioPath);
+  const result = await transcriptionProviders.transcribe(audioPath, options, { policy: options.policy, fileSize: size });
+
+  result.attempts
+    .filter(attempt => attempt.status !== 'ok')
+    .forEach(attempt => logger.info(`${attempt.provider} ${attempt.status}: ${attempt.error || attempt.reason}`));
+  return result;
+}
+
+// Without ffprobe the length is unknown; files under the upload limit then go in one piece
+async function needsChunks(audioPath, size, { chunkSeconds = CHUNK_SECONDS, overlapSeconds = CHUNK_OVERLAP_SECONDS }) {
+  if (size > CLOUD_MAX_BYTES) return true;
+  try {
+    return await getAudioDuration(audioPath) > chunkSeconds + overlapSeconds;
+  } catch (error) {
+    logger.debug(`Audio duration unknown (${error.message}), transcribing in one piece`);
+    return false;
+  }
+}
+
+// Split the file, transcribe up to `concurrency` chunks at a time and stitch them
+// back. onProgress gets { chunk, total, completed, status: 'done' | 'failed', service?, error? }
+async function transcribeInChunks(audioPath, options, { chunkSeconds, overlapSeconds, concurrency = CHUNK_CONCURRENCY } = {}, onProgress) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio-chunks-'));
+  try {
+    const chunks = await splitAudio(audioPath, workDir, { chunkSeconds, overlapSeconds });
+    logger.info(`Audio split into ${chunks.length} chunks`);
+
+    const queue = createJobQueue({ concurrency });
+    let completed = 0;
+    const report = (chunk, update) => {
+      completed++;
+      onProgress?.({ chunk: chunk.index + 1, total: chunks.length, completed, ...update });
+    };
+
+    // Stitching needs the segment times, so every chunk asks for them
+    const settled = await Promise.allSettled(chunks.map(chunk => queue.enqueue(async () => {
+      try {
+        const result = await transcribeWithServices(chunk.path, { ...options, includeTimestamps: true });
+        logger.success(`Chunk ${chunk.index + 1}/${chunks.length} transcribed using ${result.service}`);
+        report(chunk, { status: 'done', service: result.service });
+        return { chunk, text: result.text, segments: result.timestamps, service: result.service, attempts: result.attempts };
+      } catch (error) {
+        report(chunk, { status: 'failed', error: error.message });
+        throw error;
+      }
+    }).promise));
+
+    const failedIndex = settled.findIndex(outcome => outcome.status === 'rejected');
+    if (failedIndex !== -1) {
+      const { reason } = settled[failedIndex];
+      throw new TranscriptionProviderError(`Chunk ${failedIndex + 1}/${chunks.length}: ${reason.message}`, { cause: reason, details: reason.details });
+    }
+
+    const results = settled.map(outcome => outcome.value);
+    const stitched = stitchTranscripts(results);
+    return {
+      success: true,
+      text: stitched.text,
+      timestamps: options.includeTimestamps ? stitched.segments : null,
+      service: [...new Set(results.map(result => result.service))].join(', '),
+      attempts: results.flatMap(result => result.attempts.map(attempt => ({ chunk: result.chunk.index + 1, ...attempt }))),
+      chunks: chunks.length
+    };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
 }
 
 // Main transcription agent
-async function transcriptionAgent({
+async function transcribeAudio({
   audioFile,
   outputFormat = 'text', // 'text', 'json', 'srt', 'vtt'
   language = 'auto',
@@ -159,50 +312,74 @@ async function transcriptionAgent({
   includeAnalysis = true,
   cleanTranscription = true,
   outputPath = null,
-  userPreferences = {}
-}) {
-  try {
-    logger.step("Audio Transcription Agent Starting");
-
-    // Validate audio file
+  userPreferences = {},
+  policy = process.env.TRANSCRIPTION_POLICY || 'default', // 'cheapest', 'fastest', 'local-only' or provider ids in order
+  localWhisper = {}, // { modelSize, threads } for transcribeWithLocalWhisper
+  chunking = {}, // { chunkSeconds, overlapSeconds, concurrency } for long recordings
+  onProgress = null, // called after each chunk, see transcribeInChunks
+  diarize = false, // label the segments with SPEAKER_1, SPEAKER_2... (needs DIARIZATION_CMD)
+  numSpeakers = null, // hint for the diarization model
+  speakerNames = {} // { SPEAKER_1: 'Ana' }
+}, steps) {
+  logger.step("Audio Transcription Agent Starting");
+
+  // Validate audio file
+  const validation = await steps.run('validate', async () => {
     logger.info("Validating audio file...");
     const validation = await validateAudioFile(audioFile);
     if (!validation.valid) {
       throw new Error(`File validation failed: ${validation.error}`);
     }
-    logger.success(`Audio file validated: ${(validation.size / 1024 / 1024).toFixed(2)}MB`);
-
-    // Transcribe audio
-    let transcriptionResult;
+    return validation;
+  });
+  logger.success(`Audio file validated: ${(validation.size / 1024 / 1024).toFixed(2)}MB`);
 
-    // Try local first if available, then cloud services
+  // Transcribe audio
+  const transcriptionResult = await steps.run('transcribe', async () => {
     logger.step("Attempting transcription...");
-    transcriptionResult = await transcribeWithLocalWhisper(audioFile, { language, includeTimestamps });
+    // Speakers are matched to the transcription by time, so diarization needs the segments
+    const options = { language, includeTimestamps: includeTimestamps || diarize, policy, whisper: localWhisper };
 
-    if (!transcriptionResult.success) {
-      logger.info("Local transcription failed, trying Groq Whisper...");
-      transcriptionResult = await transcribeWithGroqWhisper(audioFile, { language, includeTimestamps });
-    }
-
-    if (!transcriptionResult.success && process.env.OPENAI_API_KEY) {
-      logger.info("Groq transcription failed, trying OpenAI Whisper...");
-      transcriptionResult = await transcribeWithOpenAIWhisper(audioFile, { language, includeTimestamps });
+    if (await needsChunks(audioFile, validation.size, chunking)) {
+      logger.info("Long recording, transcribing it in chunks...");
+      return transcribeInChunks(audioFile, options, chunking, onProgress);
     }
+    return transcribeWithServices(audioFile, options);
+  });
 
-    if (!transcriptionResult.success) {
-      throw new Error(`Transcription failed: ${transcriptionResult.error}`);
+  logger.success(`Transcription completed using ${transcriptionResult.service}`);
+
+  let finalResult = {
+    transcription: transcriptionResult.text,
+    service: transcriptionResult.service,
+    timestamps: transcriptionResult.timestamps,
+    attempts: transcriptionResult.attempts,
+    ...(transcriptionResult.chunks ? { chunks: transcriptionResult.chunks } : {})
+  };
+
+  // Diarize: a failure keeps the transcription without speakers
+  if (diarize && transcriptionResult.timestamps?.length > 0) {
+    try {
+      await steps.run('diarize', async () => {
+        logger.step("Identifying speakers...");
+        const turns = await diarizeAudio(audioFile, { numSpeakers });
+        const segments = renameSpeakers(assignSpeakers(transcriptionResult.timestamps, turns), speakerNames);
+
+        finalResult.timestamps = segments;
+        finalResult.speakers = summarizeSpeakers(segments);
+        finalResult.speakerTranscription = formatSpeakerText(segments);
+        logger.success(`${finalResult.speakers.length} speaker(s) identified`);
+      });
+    } catch (error) {
+      logger.error(`Speakers could not be identified: ${error.message}`);
     }
+  } else {
+    steps.skip('diarize', diarize ? 'no segments to label' : 'not requested');
+  }
 
-    logger.success(`Transcription completed using ${transcriptionResult.service}`);
-
-    let finalResult = {
-      transcription: transcriptionResult.text,
-      service: transcriptionResult.service,
-      timestamps: transcriptionResult.timestamps
-    };
-
-    // Clean transcription with AI
-    if (cleanTranscription && transcriptionResult.text) {
+  // Clean transcription with AI
+  if (cleanTranscription && transcriptionResult.text) {
+    await steps.run('clean', async () => {
       logger.step("Cleaning transcription with AI...");
       const cleaner = createTranscriptionCleanerAgent();
 
@@ -233,14 +410,19 @@ async function transcriptionAgent({
         finalResult.issuesFixed = cleaningResult.mainIssuesFixed;
         logger.success(`Applied ${cleaningResult.correctionsCount || 0} corrections`);
       }
-    }
+    });
+  } else {
+    steps.skip('clean', cleanTranscription ? 'empty transcription' : 'not requested');
+  }
 
-    // Analyze content with AI
-    if (includeAnalysis && transcriptionResult.text) {
+  // Analyze content with AI
+  if (includeAnalysis && transcriptionResult.text) {
+    await steps.run('analyze', async () => {
       logger.step("Analyzing transcription content...");
       const analyzer = createTranscriptionAnalyzerAgent();
 
-      const textToAnalyze = finalResult.cleanedTranscription || finalResult.transcription;
+      // The labelled transcription lets the summary say who said what
+      const textToAnalyze = finalResult.speakerTranscription || finalResult.cleanedTranscription || finalResult.transcription;
       const analysisResult = await analyzer.invoke(`
         Analyze this transcription:
         "${textToAnalyze}"
@@ -252,17 +434,28 @@ async function transcriptionAgent({
         - Type of content
         - Key topics discussed
         - Brief summary
+        ${finalResult.speakers ? `
+        Each paragraph starts with the speaker's label (${finalResult.speakers.map(speaker => speaker.speaker).join(', ')}).
+        Refer to people by these labels in the summary, and list the key statements and
+        the action items with the speaker each one belongs to.` : `
+        There are no speaker labels: leave speakerStatements and actionItems empty.`}
       `);
 
       if (analysisResult) {
-        finalResult.analysis = analysisResult;
+        finalResult.analysis = finalResult.speakers
+          ? { ...analysisResult, speakerCount: finalResult.speakers.length }
+          : analysisResult;
         logger.success("Content analysis completed");
         logger.llm(`Detected: ${analysisResult.contentType} in ${analysisResult.detectedLanguage} with ${analysisResult.speakerCount} speaker(s)`);
       }
-    }
+    });
+  } else {
+    steps.skip('analyze', includeAnalysis ? 'empty transcription' : 'not requested');
+  }
 
-    // Save output
-    if (outputPath || outputFormat !== 'text') {
+  // Save output
+  if (outputPath || outputFormat !== 'text') {
+    await steps.run('save', async () => {
       logger.step("Saving output file...");
 
       // SOLUCIÓN: Usar directorio temporal compatible con Replit
@@ -284,31 +477,66 @@ async function transcriptionAgent({
         );
       }
 
-      let outputContent;
-      switch (outputFormat) {
-        case 'json':
-          outputContent = JSON.stringify(finalResult, null, 2);
-          break;
-        case 'srt':
-          outputContent = convertToSRT(finalResult.timestamps);
-          break;
-        case 'vtt':
-          outputContent = convertToVTT(finalResult.timestamps);
-          break;
-        default:
-          outputContent = finalResult.cleanedTranscription || finalResult.transcription;
-      }
-
-      await fs.writeFile(outputFile, outputContent, 'utf-8');
+      await fs.writeFile(outputFile, formatTranscription(finalResult, outputFormat), 'utf-8');
       logger.success(`Output saved to: ${outputFile}`);
       finalResult.outputFile = outputFile;
-    }
+    });
+  }
 
-    return finalResult;
+  return finalResult;
+}
 
+// Returns { ok, data, error, steps } like invoiceAgent; data is the transcription result
+async function transcriptionAgent(options) {
+  const steps = createStepLog();
+  try {
+    const data = await transcribeAudio(options, steps);
+    return okResult(data, steps.steps);
   } catch (error) {
     logger.error(`Transcription failed: ${error.message}`);
-    throw error;
+    return errorResult(error, steps.steps);
+  }
+}
+
+// Renames the speakers of a diarized result after the fact, in the segments, the
+// speaker transcription and the analysis. names: { SPEAKER_1: 'Ana' }
+function renameTranscriptionSpeakers(result, names) {
+  // Whole words only, so renaming SPEAKER_1 leaves SPEAKER_10 alone
+  const renameIn = text => Object.entries(names).reduce((renamed, [label, name]) => (
+    renamed.replace(new RegExp(`\\b${label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g'), name.trim())
+  ), text);
+  const rename = speaker => names[speaker]?.trim() || speaker;
+  const timestamps = renameSpeakers(result.timestamps || [], names);
+
+  return {
+    ...result,
+    timestamps,
+    speakers: summarizeSpeakers(timestamps),
+    speakerTranscription: formatSpeakerText(timestamps),
+    ...(result.analysis ? {
+      analysis: {
+        ...result.analysis,
+        summary: result.analysis.summary && renameIn(result.analysis.summary),
+        speakerStatements: (result.analysis.speakerStatements || []).map(item => ({ ...item, speaker: rename(item.speaker) })),
+        actionItems: (result.analysis.actionItems || []).map(item => ({ ...item, speaker: rename(item.speaker) }))
+      }
+    } : {})
+  };
+}
+
+// The saved file for outputFormat 'text', 'json', 'srt' or 'vtt'. Diarized results
+// show the speakers: "SPEAKER_1: ..." paragraphs, the SRT text prefixed with the
+// speaker and VTT voice tags.
+function formatTranscription(result, outputFormat = 'text') {
+  switch (outputFormat) {
+    case 'json':
+      return JSON.stringify(result, null, 2);
+    case 'srt':
+      return convertToSRT(result.timestamps);
+    case 'vtt':
+      return convertToVTT(result.timestamps);
+    default:
+      return result.speakerTranscription || result.cleanedTranscription || result.transcription;
   }
 }
 
@@ -319,7 +547,8 @@ function convertToSRT(segments) {
   return segments.map((segment, index) => {
     const startTime = formatSRTTime(segment.start);
     const endTime = formatSRTTime(segment.end);
-    return `${index + 1}\n${startTime} --> ${endTime}\n${segment.text}\n`;
+    const text = segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text;
+    return `${index + 1}\n${startTime} --> ${endTime}\n${text}\n`;
   }).join('\n');
 }
 
@@ -330,7 +559,8 @@ function convertToVTT(segments) {
   segments.forEach(segment => {
     const startTime = formatVTTTime(segment.start);
     const endTime = formatVTTTime(segment.end);
-    vtt += `${startTime} --> ${endTime}\n${segment.text}\n\n`;
+    const text = segment.speaker ? `<v ${segment.speaker}>${segment.text}` : segment.text;
+    vtt += `${startTime} --> ${endTime}\n${text}\n\n`;
   });
   return vtt;
 }
@@ -348,4 +578,4 @@ function formatVTTTime(seconds) {
   return formatSRTTime(seconds).replace(',', '.');
 }
 
-export { transcriptionAgent };
\ No newline at end of file
+export { transcriptionAgent, transcriptionProviders, formatTranscription, renameTranscriptionSpeakers };
\ No newline at end of file
@@ -1,37 +1,176 @@
 import yargs from "yargs";
 import { invoiceAgent } from "./agents/invoiceAgent.js";
 import { transcriptionAgent } from "./agents/resumeAudioAgent.js";
+import { minutesAgent } from "./agents/meetingMinutesAgent.js";
+import { exportMinutes } from "./tools/meetingMinutes.js";
+import { DEFAULT_PROVIDER, listProviders } from "./providers/index.js";
+import { SELECTOR_CACHE_PATH, readSelectorCache, resetSelectorCache } from "./tools/selectorCache.js";
+import { getHistory, exportHistory, summarizeSpending, detectTrends } from "./tools/invoiceHistory.js";
+import { getUserMessage } from "./tools/errors.js";
+import fs from "fs";
 const args = yargs(process.argv.slice(2)).argv;
 
 
-async function getSancorInvoice(dowloadFile) {
-  const invoiceInformation = await invoiceAgent({ url: "https://www.sancorsalud.com.ar/login/asociados", dowloadFile});
+// Any filter (or --all) switches the agent to return every matching invoice,
+// --headed, --slowMo, --locale, --userAgent, --proxy and --storageState tune the browser,
+// --owner reads the credentials stored in the vault for that owner,
+// --outputDir and --fileName (template, e.g. "{provider}-{facturaId}{ext}") place the downloaded PDF
+function getInvoiceOptions(args) {
+  const filters = {
+    onlyUnpaid: args.onlyUnpaid || false,
+    since: args.since,
+    limit: args.limit
+  };
+  const mode = args.all || filters.onlyUnpaid || filters.since || filters.limit ? 'all' : 'latest';
+  const browserOptions = {
+    ...(args.headed ? { headless: false } : {}),
+    ...(args.slowMo ? { slowMo: Number(args.slowMo) } : {}),
+    ...(args.locale ? { locale: args.locale } : {}),
+    ...(args.userAgent ? { userAgent: args.userAgent } : {}),
+    ...(args.proxy ? { proxy: { server: args.proxy } } : {}),
+    ...(args.storageState ? { storageStatePath: args.storageState } : {})
+  };
+  return { mode, filters, browserOptions, credentialsOwner: args.owner, outputDir: args.outputDir, fileNameTemplate: args.fileName };
+}
+
+async function getInvoice({ provider = DEFAULT_PROVIDER, dowloadFile, mode, filters, browserOptions, credentialsOwner, outputDir, fileNameTemplate }) {
+  const invoiceInformation = await invoiceAgent({ provider, dowloadFile, mode, filters, browserOptions, credentialsOwner, outputDir, fileNameTemplate });
   return invoiceInformation;
 }
 
+async function getSancorInvoice({ dowloadFile, mode, filters, browserOptions, credentialsOwner, outputDir, fileNameTemplate }) {
+  return getInvoice({ provider: "sancor", dowloadFile, mode, filters, browserOptions, credentialsOwner, outputDir, fileNameTemplate });
+}
+
+// --owner is the Telegram user id or the provider username the invoices were fetched with.
+// Exports as --format csv|json (to --output or stdout), or prints --summary month|year
+function showInvoiceHistory(args) {
+  if (!args.owner) {
+    throw new Error("Missing --owner (Telegram user id or provider username)");
+  }
+
+  const entries = getHistory(args.owner, { provider: args.provider, since: args.since });
+  if (args.summary) {
+    console.table(summarizeSpending(entries, { period: args.summary }));
+    detectTrends(entries).forEach(trend => console.log(`📈 ${trend.message}`));
+    return;
+  }
+
+  const output = exportHistory(entries, args.format || 'csv');
+  if (args.output) {
+    fs.writeFileSync(args.output, output, 'utf-8');
+    console.log(`${entries.length} invoice(s) exported to ${args.output}`);
+  } else {
+    console.log(output);
+  }
+}
+
+// --language, --whisperModel (tiny, base, small...) and --threads tune the local Whisper backend;
+// --policy is cheapest, fastest, local-only or provider ids in order (local-whisper,groq-whisper);
+// --diarize labels the speakers (--numSpeakers hint, --speakers "SPEAKER_1=Ana,SPEAKER_2=Luis"),
+// --outputFormat text|json|srt|vtt and --output save the result to a file
 async function getTranscribeAudio(params) {
   const p = {
   audioFile: params.audioFile,
-  outputFormat: 'text', // 'text', 'json', 'srt', 'vtt'
-  language: 'auto',
+  outputFormat: params.outputFormat || 'text', // 'text', 'json', 'srt', 'vtt'
+  language: params.language || 'auto',
   includeTimestamps: false,
   includeAnalysis: true,
   cleanTranscription: true,
-  outputPath: null,
-  userPreferences: {}
+  outputPath: params.output || null,
+  diarize: Boolean(params.diarize),
+  numSpeakers: params.numSpeakers ? Number(params.numSpeakers) : null,
+  speakerNames: parseSpeakerNames(params.speakers),
+  userPreferences: {},
+  policy: params.policy,
+  localWhisper: { modelSize: params.whisperModel, threads: params.threads },
+  onProgress: ({ chunk, total, completed, status }) => console.log(`Chunk ${chunk}/${total} ${status} (${completed}/${total} finished)`)
   }
   const transcriptionResult = await transcriptionAgent(p);
   return transcriptionResult;
 }
 
+// Minutes of --transcriptFile (plain text), or of --audioFile transcribed first with the
+// getTranscribeAudio options (--diarize gives attendees and owners names); --meetingDate
+// resolves relative dates, --format markdown|json and --output save them
+async function getMeetingMinutes(args) {
+  let transcription;
+  let speakers = [];
+  if (args.transcriptFile) {
+    transcription = fs.readFileSync(args.transcriptFile, 'utf-8');
+  } else {
+    const transcribed = await getTranscribeAudio({ ...args, outputFormat: undefined, output: undefined });
+    if (!transcribed.ok) return transcribed;
+    transcription = transcribed.data.speakerTranscription || transcribed.data.cleanedTranscription || transcribed.data.transcription;
+    speakers = (transcribed.data.speakers || []).map(speaker => speaker.speaker);
+  }
+
+  return minutesAgent({
+    transcription,
+    speakers,
+    ...(args.meetingDate ? { meetingDate: args.meetingDate } : {}),
+    outputFormat: args.output ? args.format || 'markdown' : null,
+    outputPath: args.output || null
+  });
+}
+
+// "SPEAKER_1=Ana,SPEAKER_2=Luis" -> { SPEAKER_1: 'Ana', SPEAKER_2: 'Luis' }
+function parseSpeakerNames(value) {
+  if (!value) return {};
+  return Object.fromEntries(String(value).split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([label, name]) => label && name));
+}
+
+// Agents return { ok, data, error, steps }; failures print the message for
+// the error type plus the technical details, and set a non-zero exit code
+function printAgentResult(label, result) {
+  if (result.ok) {
+    console.log(`${label}:`, result.data);
+    return;
+  }
+  console.log(getUserMessage(result.error));
+  console.log(`${result.error.type}: ${result.error.message}`);
+  console.dir(result.steps, { depth: null });
+  process.exitCode = 1;
+}
+
 async function processAgent(args) {
   console.dir(args, { depth: null });
 
   switch (args.method) {
+    case "getInvoice":
+      try {
+        const invoiceInfo = await getInvoice({ provider: args.provider, dowloadFile: args.downloadFile || false, ...getInvoiceOptions(args) });
+        printAgentResult("Invoice Information", invoiceInfo);
+      } catch (err) {
+        console.log(`processAgent::getInvoice::Error condition found: ${err}`);
+        process.exitCode = 1;
+      }
+      break;
+    case "listProviders":
+      listProviders().forEach(provider => console.log(`${provider.id}\t${provider.name}\t${provider.loginUrl}`));
+      break;
+    case "showSelectorCache":
+      console.log(`Selector cache (${SELECTOR_CACHE_PATH}):`);
+      console.dir(args.site ? readSelectorCache()[args.site] || {} : readSelectorCache(), { depth: null });
+      break;
+    case "resetSelectorCache":
+      resetSelectorCache(args.site);
+      console.log(args.site ? `Selector cache cleared for ${args.site}` : "Selector cache cleared");
+      break;
+    case "history":
+      try {
+        showInvoiceHistory(args);
+      } catch (err) {
+        console.log(`processAgent::history::Error condition found: ${err}`);
+        process.exitCode = 1;
+      }
+      break;
     case "getSancorInvoice":
       try {
-        const invoiceInfo = await getSancorInvoice({ dowloadFile: args.downloadFile || false });
-        console.log("Invoice Information:", invoiceInfo);
+        const invoiceInfo = await getSancorInvoice({ dowloadFile: args.downloadFile || false, ...getInvoiceOptions(args) });
+        printAgentResult("Invoice Information", invoiceInfo);
       } catch (err) {
         console.log(`processAgent::getSancorInvoice::Error condition found: ${err}`);
         process.exitCode = 1;
@@ -39,13 +178,37 @@ async function processAgent(args) {
       break;
     case "getTranscribeAudio":
       try {
-        const transcribeAudio = await getTranscribeAudio({ audioFile: args.audioFile });
-        console.log("Transcription Result:", transcribeAudio);
+        const transcribeAudio = await getTranscribeAudio({
+          audioFile: args.audioFile,
+          language: args.language,
+          whisperModel: args.whisperModel,
+          threads: args.threads,
+          policy: args.policy,
+          diarize: args.diarize,
+          numSpeakers: args.numSpeakers,
+          speakers: args.speakers,
+          outputFormat: args.outputFormat,
+          output: args.output
+        });
+        printAgentResult("Transcription Result", transcribeAudio);
       } catch (err) {
         console.log(`processAgent::getTranscribeAudio::Error condition found: ${err}`);
         process.exitCode = 1;
       }
       break;
+    case "getMeetingMinutes":
+      try {
+        const minutes = await getMeetingMinutes(args);
+        if (minutes.ok) {
+          console.log(exportMinutes(minutes.data.minutes, args.format || 'markdown'));
+        } else {
+          printAgentResult("Meeting Minutes", minutes);
+        }
+      } catch (err) {
+        console.log(`processAgent::getMeetingMinutes::Error condition found: ${err}`);
+        process.exitCode = 1;
+      }
+      break;
     default:
       console.log("No job has been run");
       break;
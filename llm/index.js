@@ -0,0 +1,183 @@
+import fs from 'fs';
+import path from 'path';
+import 'dotenv/config';
+import { LlmSchemaError } from '../tools/errors.js';
+
+// Shared chat model factory. Settings come from (lowest to highest priority):
+// defaults, llm.config.json, LLM_* env vars and the per-agent overrides of the
+// config file, e.g. { "provider": "ollama", "agents": { "tableAnalyzer": { "model": "llama3.1:70b" } } }
+const LLM_CONFIG_PATH = process.env.LLM_CONFIG_PATH || path.join(process.cwd(), 'llm.config.json');
+
+const DEFAULT_CONFIG = {
+  provider: 'groq',
+  model: 'llama-3.1-8b-instant',
+  temperature: 0
+};
+
+const DEFAULT_BASE_URLS = {
+  ollama: 'http://localhost:11434/v1',
+  'openai-compatible': 'http://localhost:8080/v1'
+};
+
+let modelFactoryOverride = null;
+// One fake factory per script file so scripted outputs are consumed in order across agents
+const fakeFactories = new Map();
+
+function readConfigFile() {
+  if (!fs.existsSync(LLM_CONFIG_PATH)) return {};
+  return JSON.parse(fs.readFileSync(LLM_CONFIG_PATH, 'utf-8'));
+}
+
+function readEnvConfig() {
+  const config = {
+    provider: process.env.LLM_PROVIDER,
+    model: process.env.LLM_MODEL,
+    temperature: process.env.LLM_TEMPERATURE !== undefined ? Number(process.env.LLM_TEMPERATURE) : undefined,
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY,
+    fakeScript: process.env.LLM_FAKE_SCRIPT
+  };
+  return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+}
+
+function resolveModelConfig(agentName) {
+  const { agents = {}, ...fileConfig } = readConfigFile();
+  return {
+    ...DEFAULT_CONFIG,
+    ...fileConfig,
+    ...readEnvConfig(),
+    ...(agents[agentName] || {})
+  };
+}
+
+// Deterministic stand-in for a chat model. script maps agent names (or '*') to
+// a list of outputs, each one an object or a function (prompt, agentName) => object.
+// Outputs are validated against the structured output schema like a real model.
+function createFakeModelFactory(script = {}) {
+  const queues = Object.fromEntries(Object.entries(script).map(([name, outputs]) => [name, [...outputs]]));
+  const calls = [];
+
+  const factory = (agentName) => ({
+    withStructuredOutput(schema) {
+      return {
+        invoke: async (prompt) => {
+          const queue = queues[agentName] || queues['*'];
+          if (!queue || queue.length === 0) {
+            throw new Error(`Fake model has no scripted output left for ${agentName}`);
+          }
+
+          const next = queue.shift();
+          const output = typeof next === 'function' ? await next(prompt, agentName) : next;
+          calls.push({ agentName, prompt, output });
+          return schema.parse(output);
+        }
+      };
+    }
+  });
+
+  factory.calls = calls;
+  return factory;
+}
+
+async function createProviderModel(config) {
+  switch (config.provider) {
+    case 'groq': {
+      const { ChatGroq } = await import('@langchain/groq');
+      return new ChatGroq({
+        apiKey: config.apiKey || process.env.GROQ_API_KEY,
+        model: config.model,
+        temperature: config.temperature,
+      });
+    }
+    case 'openai':
+    case 'ollama':
+    case 'openai-compatible': {
+      const { ChatOpenAI } = await import('@langchain/openai');
+      const baseURL = config.baseUrl || DEFAULT_BASE_URLS[config.provider];
+      return new ChatOpenAI({
+        apiKey: config.apiKey || process.env.OPENAI_API_KEY || (baseURL ? 'not-needed' : undefined),
+        model: config.model,
+        temperature: config.temperature,
+        configuration: baseURL ? { baseURL } : undefined,
+      });
+    }
+    default:
+      throw new Error(`Unsupported LLM provider: ${config.provider}`);
+  }
+}
+
+// Zod and LangChain output parser failures mean the answer did not fit the schema
+const SCHEMA_ERROR_NAMES = ['ZodError', 'OutputParserException'];
+
+// Answers that do not match the schema become LlmSchemaError; other failures
+// (network, missing API key) are passed through untouched
+function withSchemaErrors(model, agentName) {
+  return {
+    withStructuredOutput(schema) {
+      const structuredModel = model.withStructuredOutput(schema);
+      return {
+        invoke: async (prompt) => {
+          try {
+            return await structuredModel.invoke(prompt);
+          } catch (error) {
+            if (SCHEMA_ERROR_NAMES.includes(error.name)) {
+              throw new LlmSchemaError(`The ${agentName} answer did not match the expected schema: ${error.message}`, { cause: error });
+            }
+            throw error;
+          }
+        }
+      };
+    }
+  };
+}
+
+// Returns a chat model for the given agent. Provider SDKs are loaded lazily, so the
+// returned object exposes the same withStructuredOutput(schema).invoke(prompt) API
+// whether it is a real provider or the fake model.
+function createModel(agentName) {
+  return withSchemaErrors(createBaseModel(agentName), agentName);
+}
+
+function createBaseModel(agentName) {
+  if (modelFactoryOverride) {
+    return modelFactoryOverride(agentName);
+  }
+
+  const config = resolveModelConfig(agentName);
+
+  if (config.provider === 'fake') {
+    const scriptPath = config.fakeScript || '';
+    if (!fakeFactories.has(scriptPath)) {
+      const script = scriptPath ? JSON.parse(fs.readFileSync(scriptPath, 'utf-8')) : {};
+      fakeFactories.set(scriptPath, createFakeModelFactory(script));
+    }
+    return fakeFactories.get(scriptPath)(agentName);
+  }
+
+  return {
+    withStructuredOutput(schema) {
+      let structuredModel = null;
+      return {
+        invoke: async (prompt) => {
+          if (!structuredModel) {
+            structuredModel = (await createProviderModel(config)).withStructuredOutput(schema);
+          }
+          return structuredModel.invoke(prompt);
+        }
+      };
+    }
+  };
+}
+
+// Tests use this to swap every agent model, e.g. setModelFactory(createFakeModelFactory(script))
+function setModelFactory(factory) {
+  modelFactoryOverride = factory;
+}
+
+export {
+  LLM_CONFIG_PATH,
+  resolveModelConfig,
+  createModel,
+  createFakeModelFactory,
+  setModelFactory
+};
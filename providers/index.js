@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { z } from "zod";
+
+// Each provider is a JSON profile in this folder (or in PROVIDERS_DIR)
+const PROVIDERS_DIR = process.env.PROVIDERS_DIR || path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PROVIDER = 'sancor';
+
+const REQUIRED_FIELDS = ['id', 'name', 'loginUrl', 'navigation', 'table', 'download', 'outputSchema'];
+
+function readProfile(filePath) {
+  const profile = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+  const missing = REQUIRED_FIELDS.filter(field => !profile[field]);
+  if (missing.length > 0) {
+    throw new Error(`Invalid provider profile ${path.basename(filePath)}: missing ${missing.join(', ')}`);
+  }
+
+  return profile;
+}
+
+function listProviders() {
+  return fs.readdirSync(PROVIDERS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => readProfile(path.join(PROVIDERS_DIR, file)))
+    .map(profile => ({ id: profile.id, name: profile.name, loginUrl: profile.loginUrl }));
+}
+
+function loadProvider(id = DEFAULT_PROVIDER) {
+  const filePath = path.join(PROVIDERS_DIR, `${path.basename(String(id).toLowerCase())}.json`);
+
+  if (!fs.existsSync(filePath)) {
+    const available = listProviders().map(provider => provider.id).join(', ');
+    throw new Error(`Unknown provider: ${id}. Available providers: ${available}`);
+  }
+
+  return readProfile(filePath);
+}
+
+// Build the zod schema the table analyzer must fill from the profile's outputSchema
+function buildOutputSchema(profile) {
+  const shape = {};
+  Object.entries(profile.outputSchema).forEach(([field, description]) => {
+    shape[field] = z.string().describe(description);
+  });
+  return z.object(shape);
+}
+
+export {
+  DEFAULT_PROVIDER,
+  listProviders,
+  loadProvider,
+  buildOutputSchema
+};
@@ -0,0 +1,134 @@
+import { z } from "zod";
+
+// Split a message into tokens. Values may be quoted to keep spaces
+// (name:"John Doe") and only the first colon separates key from value,
+// so password:a:b keeps "a:b". A quote opens a quoted value only right after
+// the colon and must be closed at the end of the token; anywhere else it is
+// part of the value, so password:ab'cd stays "ab'cd".
+function tokenize(text) {
+  const tokens = [];
+  const tokenRegex = /(?:[^\s:]*:)?(?:"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')(?=\s|$)|\S+/g;
+  let match;
+
+  while ((match = tokenRegex.exec(text)) !== null) {
+    tokens.push(match[0]);
+  }
+
+  return tokens;
+}
+
+function unquote(value) {
+  const quoted = value.match(/^(["'])([\s\S]*)\1$/);
+  return quoted ? quoted[2].replace(/\\(.)/g, '$1') : value;
+}
+
+// Parse "/command key:value key:"quoted value"" into { command, params }
+function parseCommand(text) {
+  const [head = '', ...rest] = tokenize(text.trim());
+  const command = head.replace(/^\//, '').split('@')[0];
+  const params = {};
+
+  rest.forEach(token => {
+    const separator = token.indexOf(':');
+    if (separator > 0) {
+      params[token.slice(0, separator)] = unquote(token.slice(separator + 1));
+    }
+  });
+
+  return { command, params };
+}
+
+// Zod helpers for the string values that come from chat messages
+const booleanParam = () => z.enum(['true', 'false']).transform(value => value === 'true');
+const integerParam = () => z.coerce.number().int().positive();
+const dateParam = () => z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a date like YYYY-MM-DD');
+
+function formatValidationError(command, error) {
+  return error.issues.map(issue => {
+    if (issue.code === 'unrecognized_keys') {
+      return `❌ Unknown parameter(s) for /${command}: ${issue.keys.join(', ')}`;
+    }
+    const param = issue.path.join('.') || 'parameters';
+    return `❌ Invalid parameter "${param}" for /${command}: ${issue.message}`;
+  }).join('\n');
+}
+
+// Parameter names that look like a password, including the usual typos and Spanish
+const SECRET_PARAM = /pa?s+w|pass|pwd|clave|contrase/i;
+
+// Declarative command registry. Each command declares
+// { name, description, usage, params: zod object schema, handler(params, chatId, msg), secret }
+// and help text plus the Telegram menu are generated from it. onSecretMessage(chatId, msg)
+// removes messages with credentials: those of secret commands with parameters, and any
+// message with a password-like parameter, before validation can turn them away.
+function createCommandRegistry({ onSecretMessage = async () => {} } = {}) {
+  const commands = new Map();
+
+  function register(definition) {
+    commands.set(definition.name, {
+      usage: '',
+      params: z.object({}),
+      ...definition
+    });
+  }
+
+  function has(name) {
+    return commands.has(name);
+  }
+
+  function helpText() {
+    return Array.from(commands.values())
+      .map(({ name, usage, description }) => `• /${name}${usage ? ` ${usage}` : ''} - ${description}`)
+      .join('\n');
+  }
+
+  // Format expected by bot.setMyCommands()
+  function telegramCommands() {
+    return Array.from(commands.values()).map(({ name, description }) => ({
+      command: name.toLowerCase(),
+      description: description.slice(0, 256)
+    }));
+  }
+
+  // Returns the handler reply, or a validation / unknown command message
+  async function dispatch(text, chatId, msg) {
+    const { command, params } = parseCommand(text);
+    // Telegram menu commands are lowercase, so /getinvoice must reach getInvoice
+    const definition = commands.get(command) ||
+      Array.from(commands.values()).find(entry => entry.name.toLowerCase() === command.toLowerCase());
+
+    const keys = Object.keys(params);
+    if (keys.some(key => SECRET_PARAM.test(key)) || (definition?.secret && keys.length > 0)) {
+      await onSecretMessage(chatId, msg);
+    }
+
+    if (!definition) {
+      return `❌ Unknown task: ${command}\n\nAvailable tasks:\n${helpText()}`;
+    }
+
+    const parsed = definition.params.strict().safeParse(params);
+    if (!parsed.success) {
+      const usage = `Usage: /${definition.name}${definition.usage ? ` ${definition.usage}` : ''}`;
+      return `${formatValidationError(definition.name, parsed.error)}\n\n${usage}`;
+    }
+
+    return definition.handler(parsed.data, chatId, msg);
+  }
+
+  return {
+    register,
+    has,
+    dispatch,
+    helpText,
+    telegramCommands
+  };
+}
+
+export {
+  tokenize,
+  parseCommand,
+  booleanParam,
+  integerParam,
+  dateParam,
+  createCommandRegistry
+};
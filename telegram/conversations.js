@@ -0,0 +1,157 @@
+// Step-by-step conversations, the generalisation of the audio session idea:
+// a chat has at most one active flow that asks for the values it still needs.
+//
+// A flow is { name, steps, onComplete(data, context) } and each step is
+// { key, prompt, options?, skip?, validate?, secret? }:
+//  - prompt: text (or (data) => text) sent when the value is missing
+//  - options: (data, context) => [{ text, value }] rendered as inline buttons
+//  - skip: (data, context) => true when the step is not needed
+//  - validate: (value, data) => error message or null
+//  - secret: the user's answer is deleted from the chat
+// Replies are { text, options? } objects or whatever onComplete returns.
+//
+// `sessions` can be a persistent Map-like collection (see tools/stateStore.js).
+// Secret values never go there: they stay in memory and are asked again
+// after a restart.
+function createConversationManager({ ttlMs = 5 * 60 * 1000, sessions = new Map() } = {}) {
+  const flows = new Map();
+  const secrets = new Map();
+
+  function defineFlow(flow) {
+    flows.set(flow.name, flow);
+  }
+
+  async function nextStep(flow, data, context) {
+    for (const step of flow.steps) {
+      if (data[step.key] !== undefined) continue;
+      if (step.skip && await step.skip(data, context)) continue;
+      return step;
+    }
+    return null;
+  }
+
+  function isSecret(flow, key) {
+    return flow.steps.some(step => step.key === key && step.secret);
+  }
+
+  // Store a session, keeping secret values out of it
+  function save(chatId, session, values) {
+    const flow = flows.get(session.flow);
+    const chatSecrets = secrets.get(chatId) || {};
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (value === undefined) return;
+      if (isSecret(flow, key)) {
+        chatSecrets[key] = value;
+      } else {
+        session.data[key] = value;
+      }
+    });
+
+    secrets.set(chatId, chatSecrets);
+    sessions.set(chatId, session);
+  }
+
+  function end(chatId) {
+    secrets.delete(chatId);
+    return sessions.delete(chatId);
+  }
+
+  async function promptFor(chatId, context) {
+    const session = sessions.get(chatId);
+    const flow = flows.get(session.flow);
+    const data = { ...session.data, ...secrets.get(chatId) };
+    const step = await nextStep(flow, data, context);
+
+    if (!step) {
+      end(chatId);
+      return flow.onComplete(data, context);
+    }
+
+    session.step = step.key;
+    sessions.set(chatId, session);
+    const text = typeof step.prompt === 'function' ? step.prompt(data) : step.prompt;
+    const options = step.options ? await step.options(data, context) : undefined;
+    return { text: `${text}\n\n(/cancel to stop)`, options };
+  }
+
+  // Start (or restart) a flow with the values that are already known
+  async function start(chatId, flowName, initialData = {}, context = {}) {
+    if (!flows.has(flowName)) {
+      throw new Error(`Unknown conversation flow: ${flowName}`);
+    }
+
+    secrets.delete(chatId);
+    save(chatId, { flow: flowName, step: null, data: {}, startTime: Date.now() }, initialData);
+    return promptFor(chatId, { chatId, ...context });
+  }
+
+  // Feed the user's answer (typed text or a pressed button) to the current step
+  async function answer(chatId, value, context = {}) {
+    const session = sessions.get(chatId);
+    if (!session) return null;
+    // A persisted session may belong to a flow that no longer exists
+    if (!flows.has(session.flow)) {
+      end(chatId);
+      return null;
+    }
+
+    const flow = flows.get(session.flow);
+    const step = flow.steps.find(entry => entry.key === session.step);
+    const error = step?.validate ? await step.validate(value, { ...session.data, ...secrets.get(chatId) }) : null;
+    if (error) {
+      return { text: `❌ ${error}\n\nPlease try again (/cancel to stop).` };
+    }
+
+    session.startTime = Date.now();
+    save(chatId, session, { [session.step]: value });
+    return promptFor(chatId, { chatId, ...context });
+  }
+
+  function isSecretStep(chatId) {
+    const session = sessions.get(chatId);
+    if (!session || !flows.has(session.flow)) return false;
+    const step = flows.get(session.flow).steps.find(entry => entry.key === session.step);
+    return Boolean(step?.secret);
+  }
+
+  function cancel(chatId) {
+    return end(chatId);
+  }
+
+  function has(chatId) {
+    return sessions.has(chatId);
+  }
+
+  // Returns the chat ids whose conversation expired and was dropped
+  function cleanupExpired(now = Date.now()) {
+    const expired = [];
+    sessions.forEach((session, chatId) => {
+      if (now - session.startTime > ttlMs) {
+        expired.push(chatId);
+      }
+    });
+    expired.forEach(end);
+    return expired;
+  }
+
+  return {
+    defineFlow,
+    start,
+    answer,
+    cancel,
+    has,
+    isSecretStep,
+    cleanupExpired,
+    size: () => sessions.size
+  };
+}
+
+// Inline keyboard markup for Telegram, one button per row
+function toInlineKeyboard(options, prefix = 'conv') {
+  return {
+    inline_keyboard: options.map(option => [{ text: option.text, callback_data: `${prefix}:${option.value}` }])
+  };
+}
+
+export { createConversationManager, toInlineKeyboard };
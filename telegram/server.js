@@ -8,30 +8,88 @@ import os from "os";
 import fs from "fs";
 import https from "https";
 import { promisify } from "util";
-import { transcriptionAgent } from "../agents/resumeAudioAgent.js";
+import { randomUUID, randomBytes } from "crypto";
+import { transcriptionAgent, transcriptionProviders, renameTranscriptionSpeakers } from "../agents/resumeAudioAgent.js";
+import { DIARIZATION_CMD } from "../tools/diarization.js";
+import { minutesAgent } from "../agents/meetingMinutesAgent.js";
+import { MINUTES_FORMATS, exportMinutes } from "../tools/meetingMinutes.js";
+import { DEFAULT_PROVIDER, listProviders } from "../providers/index.js";
+import { createJobQueue } from "../tools/jobQueue.js";
+import { createStateStore } from "../tools/stateStore.js";
+import { parseCron, matchesCron } from "../tools/cron.js";
+import { checkInvoices } from "../tools/invoiceMonitor.js";
+import { getHistory, exportHistory, summarizeSpending, detectTrends } from "../tools/invoiceHistory.js";
+import { cleanupArtifact, cleanupExpiredArtifacts } from "../tools/artifacts.js";
+import { createBrowserPool } from "../tools/browserPool.js";
+import { toErrorInfo, getUserMessage } from "../tools/errors.js";
+import { isVaultConfigured, setCredentials, getCredentials, listCredentialProviders, forgetCredentials } from "../tools/credentialVault.js";
+import { createCommandRegistry, booleanParam, integerParam, dateParam } from "./commands.js";
+import { createConversationManager, toInlineKeyboard } from "./conversations.js";
+import { z } from "zod";
 
 // Configuration
 const BOT_TOKEN = process.env.TELEGRAM_TOKEN;
 const PORT = process.env.PORT || 3000;
 const WEBHOOK_URL = process.env.WEBHOOK_URL || `http://localhost:${PORT}`;
+// 'polling' for development, 'webhook' for production (needs a public WEBHOOK_URL)
+const BOT_MODE = process.env.BOT_MODE === 'webhook' ? 'webhook' : 'polling';
+// Telegram echoes it back on every webhook call; without one configured a random
+// secret is used, which is registered again on every start
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || randomBytes(32).toString('hex');
+const INVOICE_CONCURRENCY = parseInt(process.env.INVOICE_CONCURRENCY || '2', 10);
+const INVOICE_JOB_TIMEOUT_MS = parseInt(process.env.INVOICE_JOB_TIMEOUT_MS || String(3 * 60 * 1000), 10);
+// 'file' keeps sessions and jobs in BOT_STATE_PATH across restarts, 'memory' forgets them
+const BOT_STATE_BACKEND = process.env.BOT_STATE_BACKEND || 'file';
+// Finished invoice jobs (and their results) are kept this long
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+// When subscriptions are checked for new invoices (cron syntax, server time)
+const INVOICE_CHECK_CRON = process.env.INVOICE_CHECK_CRON || '0 9 * * *';
+const DEFAULT_REMINDER_DAYS = parseInt(process.env.DEFAULT_REMINDER_DAYS || '3', 10);
+// Invoice PDFs only live here until they are sent to the chat
+const INVOICE_ARTIFACTS_DIR = process.env.INVOICE_ARTIFACTS_DIR || path.join(os.tmpdir(), 'invoice-artifacts');
+// Files left behind by runs that never delivered (cancelled, crashed) are removed after this
+const ARTIFACT_MAX_AGE_MS = 60 * 60 * 1000;
+// Longest text sendMessage accepts
+const TELEGRAM_MESSAGE_LIMIT = 4096;
 
 // Initialize Express app
 const app = express();
 app.use(bodyParser.json());
 
-// Initialize Telegram bot
-const bot = new TelegramBot(BOT_TOKEN);
+// Single Telegram bot; only polls when running in polling mode
+const bot = new TelegramBot(BOT_TOKEN, { polling: BOT_MODE === 'polling' });
 
-// Use polling for development
-const botPolling = new TelegramBot(BOT_TOKEN, { polling: true });
+// Sessions and jobs survive restarts when the state backend persists them
+const stateStore = createStateStore({ backend: BOT_STATE_BACKEND });
 
 // Store user sessions waiting for audio
-const audioSessions = new Map();
+const audioSessions = stateStore.collection('audioSessions');
+
+// Last transcription of each chat, so its speakers can be renamed and minutes taken
+// afterwards: { result, minutes, createdAt }, kept as long as finished invoice jobs
+const transcripts = stateStore.collection('transcripts');
+
+// Step-by-step flows (e.g. /getInvoice without parameters), expired by the cleanup interval
+const SESSION_TTL_MS = 5 * 60 * 1000;
+const conversations = createConversationManager({ ttlMs: SESSION_TTL_MS, sessions: stateStore.collection('conversations') });
+
+// Invoice job records: { id, chatId, provider, mode, filters, credentialsOwner,
+// resumable, status, createdAt, finishedAt, result, error: { type, message } }
+const invoiceJobs = stateStore.collection('invoiceJobs');
+
+// Invoice monitoring per "owner:provider": { chatId, owner, provider, reminderDays,
+// createdAt, lastCheckedAt, seenInvoiceIds, remindedInvoiceIds }
+const subscriptions = stateStore.collection('subscriptions');
+const invoiceCheckSchedule = parseCron(INVOICE_CHECK_CRON);
+
+// Invoice jobs run in the background, sharing one Chromium through the pool
+const invoiceQueue = createJobQueue({ concurrency: INVOICE_CONCURRENCY, timeoutMs: INVOICE_JOB_TIMEOUT_MS });
+const browserPool = createBrowserPool({ size: INVOICE_CONCURRENCY });
 
 // Utility function to download file from Telegram
 async function downloadTelegramFile(fileId, fileName) {
   try {
-    const file = await botPolling.getFile(fileId);
+    const file = await bot.getFile(fileId);
     const fileUrl = `https://api.telegram.org/file/bot${BOT_TOKEN}/${file.file_path}`;
     
     // Create downloads directory if it doesn't exist
@@ -58,57 +116,522 @@ async function downloadTelegramFile(fileId, fileName) {
   }
 }
 
-// Task handlers
-const taskHandlers = {
-  getInvoice: async (params, chatId) => {
-    const { username, password } = params;
+// Format the invoice list returned by invoiceAgent in 'all' mode
+function formatInvoiceList(invoices) {
+  if (invoices.length === 0) {
+    return '📭 No invoices matched your filters.';
+  }
+
+  const statusIcons = { paid: '✅', unpaid: '⏳', unknown: '❔' };
+  return `📄 ${invoices.length} invoice(s) found:\n` +
+    invoices.map(invoice =>
+      `${statusIcons[invoice.status]} ${invoice.facturaId} - ${invoice.currency} ${invoice.amount ?? '?'} - due ${invoice.expirationDate || 'n/a'}`
+    ).join('\n');
+}
 
-    if (!username || !password) {
-      return 'Error: Missing required parameters. Please provide user and password.';
+// Send the invoice PDF (if it was downloaded) and build the final reply
+async function deliverInvoice(chatId, agentResult, mode) {
+  // In 'all' mode the list is the reply; the first invoice PDF follows it when it was downloaded
+  let invoiceInformation = agentResult;
+  if (mode === 'all') {
+    const list = formatInvoiceList(agentResult);
+    if (!agentResult[0]?.artifact) {
+      return list;
     }
+    await bot.sendMessage(chatId, list);
+    invoiceInformation = agentResult[0];
+  }
 
-    const user = { username, password };
-    
-    try {
-      console.log(`Getting invoice for user: ${username}`);
-      const invoiceInformation = await invoiceAgent({ 
-        url: "https://www.sancorsalud.com.ar/login/asociados", 
-        dowloadFile: true, 
-        ussingTelegram: true, 
-        userInformation: user 
-      });
+  const { artifact } = invoiceInformation;
+  if (invoiceInformation.facturaId) {
+    if (artifact && fs.existsSync(artifact.path)) {
+      try {
+        await bot.sendDocument(chatId, artifact.path, {
+          caption: `📄 Invoice PDF: ${invoiceInformation.facturaId}`
+        }, {
+          filename: `${invoiceInformation.facturaId}${path.extname(artifact.fileName)}`,
+          contentType: artifact.mimeType
+        });
+        console.log(`File sent: ${artifact.path} (sha256 ${artifact.sha256})`);
 
-      if (invoiceInformation.facturaId) {
-        const desktopPath = path.join(os.homedir(), "Desktop", `${invoiceInformation.facturaId}.pdf`);
-
-        if (fs.existsSync(desktopPath)) {
-          try {
-            await botPolling.sendDocument(chatId, desktopPath, {
-              caption: `📄 Invoice PDF: ${invoiceInformation.facturaId}`
-            });
-
-            fs.unlinkSync(desktopPath);
-            console.log(`File sent and deleted: ${desktopPath}`);
-
-            return `✅ Invoice PDF sent successfully!\nInvoice ID: ${invoiceInformation.facturaId}`;
-          } catch (fileError) {
-            console.error('Error sending file:', fileError);
-            return `📄 Invoice Retrieved (file send failed):\n${JSON.stringify(invoiceInformation, null, 2)}`;
-          }
-        } else {
-          return `📄 Invoice Retrieved (file not found):\n${JSON.stringify(invoiceInformation, null, 2)}`;
+        // The PDF is the legal document, warn when the table said something else
+        const mismatches = invoiceInformation.mismatches || [];
+        const warning = mismatches.length > 0
+          ? `\n\n⚠️ The PDF does not match the website:\n${mismatches.map(mismatch => `• ${mismatch.message}`).join('\n')}`
+          : '';
+
+        return `✅ Invoice PDF sent successfully!\nInvoice ID: ${invoiceInformation.facturaId}${warning}`;
+      } catch (fileError) {
+        console.error('Error sending file:', fileError);
+        return `📄 Invoice Retrieved (file send failed):\n${JSON.stringify(invoiceInformation, null, 2)}`;
+      } finally {
+        // The history keeps its own copy, the downloaded file is not needed anymore
+        if (artifact.temporary && cleanupArtifact(artifact)) {
+          console.log(`Temporary file deleted: ${artifact.path}`);
         }
-      } else {
-        return `📄 Invoice Retrieved:\n${JSON.stringify(invoiceInformation, null, 2)}`;
       }
+    } else {
+      return `📄 Invoice Retrieved (file not found):\n${JSON.stringify(invoiceInformation, null, 2)}`;
+    }
+  } else {
+    return `📄 Invoice Retrieved:\n${JSON.stringify(invoiceInformation, null, 2)}`;
+  }
+}
 
-    } catch (error) {
+// Replies are plain text or { text, options, prefix } with inline keyboard buttons
+async function sendReply(chatId, reply) {
+  if (!reply) return;
+  if (typeof reply === 'string') {
+    return bot.sendMessage(chatId, reply);
+  }
+  return bot.sendMessage(chatId, reply.text, reply.options
+    ? { reply_markup: toInlineKeyboard(reply.options, reply.prefix) }
+    : {});
+}
+
+// Remove a message that contained a secret from the chat history
+async function deleteSecretMessage(chatId, msg) {
+  if (!msg) return;
+  try {
+    await bot.deleteMessage(chatId, msg.message_id);
+  } catch (error) {
+    console.error('Could not delete message with credentials:', error.message);
+  }
+}
+
+// Credentials are stored per Telegram user, falling back to the chat id
+function getCredentialsOwner(chatId, msg) {
+  return msg?.from?.id ?? chatId;
+}
+
+// Provider ids are validated against the profiles available right now
+const providerParam = () => z.string().refine(
+  id => listProviders().some(p => p.id === id),
+  id => ({ message: `Unknown provider "${id}". Available providers: ${listProviders().map(p => p.id).join(', ')}` })
+);
+
+// Command registry: help text, the Telegram menu and parameter validation come from here
+const commands = createCommandRegistry({ onSecretMessage: deleteSecretMessage });
+
+function updateInvoiceJob(id, changes) {
+  const record = invoiceJobs.get(id);
+  if (record) {
+    invoiceJobs.set(id, { ...record, ...changes });
+  }
+}
+
+// Run a job record through the queue; the result is sent to the chat when it is ready
+function runInvoiceJob(record, user) {
+  const { id, chatId, provider, mode, filters, credentialsOwner } = record;
+
+  const job = invoiceQueue.enqueue(signal => {
+    updateInvoiceJob(id, { status: 'running' });
+    return invoiceAgent({
+      provider,
+      dowloadFile: true,
+      ussingTelegram: true,
+      userInformation: user,
+      credentialsOwner,
+      mode,
+      filters,
+      browserPool,
+      signal,
+      outputDir: INVOICE_ARTIFACTS_DIR,
+      temporaryArtifacts: true
+    });
+  }, { id, meta: { chatId, provider } });
+
+  // The agent reports its own failures in the result envelope; the queue
+  // rejects only when the job is cancelled or times out. A TimeoutError from
+  // the agent itself (a page that never loaded) is a failure, not a cancellation.
+  const failJob = async (error) => {
+    updateInvoiceJob(id, { status: job.signal.aborted ? 'cancelled' : 'failed', finishedAt: Date.now(), error });
+    await bot.sendMessage(chatId, `❌ Invoice job ${id.slice(0, 8)}: ${getUserMessage(error)}`);
+  };
+
+  // Each job is finished exactly once: by its result or by the queue rejection.
+  // Errors while replying (sending the PDF or the failure message) are only logged.
+  job.promise
+    .then(async (result) => {
+      if (!result.ok) {
+        console.error(`Invoice job ${id} failed:`, result.error);
+        return failJob(result.error);
+      }
+      updateInvoiceJob(id, { status: 'done', finishedAt: Date.now(), result: result.data ?? null });
+      const response = await deliverInvoice(chatId, result.data, mode);
+      return bot.sendMessage(chatId, response);
+    }, (error) => {
       console.error('Error getting invoice:', error);
-      return 'Error: Failed to retrieve invoice. Please try again later.';
+      return failJob(toErrorInfo(error));
+    })
+    .catch(error => console.error(`Could not reply to invoice job ${id}:`, error));
+
+  return job;
+}
+
+// Queue an invoice job and record it so it can be resumed after a restart
+function queueInvoice({ provider, username, password, filters, mode }, chatId, msg) {
+  const record = {
+    id: randomUUID(),
+    chatId,
+    provider,
+    mode,
+    filters,
+    credentialsOwner: getCredentialsOwner(chatId, msg),
+    // Typed credentials are never written to disk, so those jobs cannot be resumed
+    resumable: !username,
+    status: 'queued',
+    createdAt: Date.now()
+  };
+  invoiceJobs.set(record.id, record);
+
+  console.log(`Queueing ${provider} invoice for chat: ${chatId}`);
+  const job = runInvoiceJob(record, username ? { username, password } : undefined);
+
+  return job.position > 0
+    ? `⏳ Invoice request queued (position ${job.position}). I will send it as soon as it is ready.\nUse /cancelJob to cancel it.`
+    : '⏳ Fetching your invoice now. I will send it as soon as it is ready.\nUse /cancelJob to cancel it.';
+}
+
+// Jobs that were queued or running when the bot stopped are queued again
+// (stored credentials) or reported as failed (typed credentials)
+function resumeInvoiceJobs() {
+  invoiceJobs.forEach(record => {
+    if (record.status !== 'queued' && record.status !== 'running') return;
+
+    if (record.resumable) {
+      console.log(`Resuming invoice job ${record.id} for chat: ${record.chatId}`);
+      runInvoiceJob(record);
+      bot.sendMessage(record.chatId, `🔄 The bot restarted, your ${record.provider} invoice request was queued again.`).catch(() => {});
+    } else {
+      updateInvoiceJob(record.id, { status: 'failed', finishedAt: Date.now(), error: { type: 'CancelledError', message: 'Interrupted by a restart' } });
+      bot.sendMessage(record.chatId, `❌ Invoice job ${record.id.slice(0, 8)}: interrupted by a restart. Please send /getInvoice again.`).catch(() => {});
+    }
+  });
+}
+
+function formatInvoiceNotification(provider, { type, invoice, daysLeft }) {
+  const amount = `${invoice.currency} ${invoice.amount ?? '?'}`;
+  if (type === 'new') {
+    return `🆕 New ${provider} invoice ${invoice.facturaId}: ${amount}, due ${invoice.expirationDate || 'n/a'}.`;
+  }
+  const when = daysLeft === 0 ? 'today' : `in ${daysLeft} day(s)`;
+  return `⏰ Reminder: ${provider} invoice ${invoice.facturaId} (${amount}) is due ${when}, on ${invoice.expirationDate}.`;
+}
+
+// Fetch the invoice list for one subscription and alert about what changed.
+// Checks share the invoice queue and browser pool with user requests.
+async function checkSubscription(key) {
+  const subscription = subscriptions.get(key);
+  if (!subscription) return;
+
+  const { chatId, owner, provider } = subscription;
+  const job = invoiceQueue.enqueue(signal => invoiceAgent({
+    provider,
+    ussingTelegram: true,
+    credentialsOwner: owner,
+    mode: 'all',
+    browserPool,
+    signal
+  }), { meta: { chatId, provider, scheduled: true } });
+
+  const result = await job.promise;
+  if (!result.ok) {
+    // Rejected credentials will not fix themselves, tell the user instead of retrying silently
+    if (result.error.type === 'AuthFailedError') {
+      await bot.sendMessage(chatId, `${getUserMessage(result.error)}\nUpdate them with /setCredentials to keep your ${provider} subscription working.`);
+    }
+    throw new Error(`No invoice list for ${provider}: ${result.error.message}`);
+  }
+  const invoices = result.data;
+
+  // The user may have unsubscribed while the check was running
+  const current = subscriptions.get(key);
+  if (!current) return;
+
+  const { notifications, seenInvoiceIds, remindedInvoiceIds } = checkInvoices(current, invoices);
+  subscriptions.set(key, { ...current, seenInvoiceIds, remindedInvoiceIds, lastCheckedAt: Date.now() });
+
+  for (const notification of notifications) {
+    await bot.sendMessage(chatId, formatInvoiceNotification(provider, notification));
+  }
+}
+
+function runSubscriptionChecks() {
+  console.log(`Checking ${subscriptions.size} invoice subscription(s)`);
+  return Promise.all(Array.from(subscriptions.keys()).map(key =>
+    checkSubscription(key).catch(error => console.error(`Scheduled invoice check failed for ${key}:`, error.message))
+  ));
+}
+
+// Stored credentials are used unless the user typed them in this flow
+function usesStoredCredentials(data, { chatId, msg }) {
+  if (data.username !== undefined || data.password !== undefined) return false;
+  return Boolean(getCredentials(getCredentialsOwner(chatId, msg), data.provider));
+}
+
+// /getInvoice asks for whatever is missing: provider, credentials and what to fetch
+conversations.defineFlow({
+  name: 'getInvoice',
+  steps: [
+    {
+      key: 'provider',
+      prompt: '🏢 Which provider?',
+      options: (data, { chatId, msg }) => {
+        const stored = listCredentialProviders(getCredentialsOwner(chatId, msg));
+        return listProviders().map(p => ({ text: `${p.name}${stored.includes(p.id) ? ' 🔐' : ''}`, value: p.id }));
+      },
+      validate: value => providerParam().safeParse(value).success ? null : `Unknown provider "${value}".`
+    },
+    {
+      key: 'username',
+      prompt: data => `👤 Send your ${data.provider} username.`,
+      skip: usesStoredCredentials
+    },
+    {
+      key: 'password',
+      prompt: data => `🔑 Send your ${data.provider} password. I will delete your message right away.`,
+      secret: true,
+      skip: usesStoredCredentials
+    },
+    {
+      key: 'remember',
+      prompt: '💾 Store these credentials encrypted for next time?',
+      options: () => [{ text: 'Yes, store them', value: 'yes' }, { text: 'No', value: 'no' }],
+      validate: value => ['yes', 'no'].includes(value) ? null : 'Please answer yes or no.',
+      // Without VAULT_KEY there is no vault to store them in
+      skip: (data, context) => !isVaultConfigured() || usesStoredCredentials(data, context)
+    },
+    {
+      key: 'action',
+      prompt: '📄 What should I fetch?',
+      options: () => [
+        { text: 'Latest invoice', value: 'latest' },
+        { text: 'All invoices', value: 'all' },
+        { text: 'Only unpaid invoices', value: 'unpaid' }
+      ],
+      validate: value => ['latest', 'all', 'unpaid'].includes(value) ? null : 'Please choose latest, all or unpaid.'
+    }
+  ],
+  onComplete: async (data, { chatId, msg }) => {
+    let stored = '';
+    if (data.remember === 'yes') {
+      setCredentials(getCredentialsOwner(chatId, msg), data.provider, { username: data.username, password: data.password });
+      stored = `🔐 Credentials for ${data.provider} stored encrypted.\n`;
+    }
+
+    const filters = {
+      onlyUnpaid: data.onlyUnpaid || data.action === 'unpaid',
+      since: data.since,
+      limit: data.limit
+    };
+    const mode = data.all || data.action === 'all' || filters.onlyUnpaid || filters.since || filters.limit ? 'all' : 'latest';
+
+    return stored + queueInvoice({ ...data, filters, mode }, chatId, msg);
+  }
+});
+
+commands.register({
+  name: 'getInvoice',
+  description: 'Fetch your latest invoice (or a filtered list) as PDF',
+  usage: '[provider:sancor] [all:true] [onlyUnpaid:true] [since:YYYY-MM-DD] [limit:N]',
+  params: z.object({
+    provider: providerParam().optional(),
+    username: z.string().optional(),
+    password: z.string().optional(),
+    all: booleanParam().optional(),
+    onlyUnpaid: booleanParam().optional(),
+    since: dateParam().optional(),
+    limit: integerParam().optional()
+  }),
+  // Inline credentials still work; dispatch deletes messages with a password
+  handler: async (params, chatId, msg) => {
+    // A bare /getInvoice is fully guided; with parameters only the missing
+    // ones (provider, credentials) are asked and the filters come from the command
+    const interactive = Object.keys(params).length === 0;
+    return conversations.start(chatId, 'getInvoice', { ...params, action: interactive ? undefined : 'latest' }, { msg });
+  }
+});
+
+commands.register({
+  name: 'cancelJob',
+  description: 'Cancel your pending invoice requests',
+  usage: '[id:jobId]',
+  params: z.object({
+    id: z.string().optional()
+  }),
+  handler: async (params, chatId) => {
+    const jobs = invoiceQueue.list().filter(job => job.meta.chatId === chatId && (!params.id || job.id.startsWith(params.id)));
+    jobs.forEach(job => invoiceQueue.cancel(job.id, 'Cancelled by user'));
+
+    return jobs.length > 0
+      ? `🛑 Cancelled ${jobs.length} invoice job(s).`
+      : 'No pending invoice jobs to cancel.';
+  }
+});
+
+commands.register({
+  name: 'listProviders',
+  description: 'Show the available invoice providers',
+  handler: async (params, chatId, msg) => {
+    const providers = listProviders();
+    const stored = listCredentialProviders(getCredentialsOwner(chatId, msg));
+    return '🏢 Available providers:\n' +
+           providers.map(p => `• ${p.id} - ${p.name}${stored.includes(p.id) ? ' 🔐 credentials stored' : ''}`).join('\n') +
+           `\n\nDefault provider: ${DEFAULT_PROVIDER}`;
+  }
+});
+
+commands.register({
+  name: 'setCredentials',
+  description: 'Store your provider credentials encrypted (the message is deleted)',
+  usage: 'provider:sancor username:username password:userpass',
+  // dispatch deletes the message before validating it, so typos do not leave the password behind
+  secret: true,
+  params: z.object({
+    provider: providerParam().default(DEFAULT_PROVIDER),
+    username: z.string().min(1),
+    password: z.string().min(1)
+  }),
+  handler: async ({ provider, username, password }, chatId, msg) => {
+    if (!isVaultConfigured()) {
+      return 'Error: Credential storage is not configured on this bot (VAULT_KEY is not set), so nothing was stored. Your message was deleted.\n' +
+             `Pass username and password to /getInvoice provider:${provider} instead.`;
+    }
+
+    setCredentials(getCredentialsOwner(chatId, msg), provider, { username, password });
+    return `🔐 Credentials for ${provider} stored encrypted. Your message was deleted.\n` +
+           `You can now use /getInvoice provider:${provider}`;
+  }
+});
+
+commands.register({
+  name: 'forgetCredentials',
+  description: 'Remove your stored credentials',
+  usage: '[provider:sancor]',
+  params: z.object({
+    provider: z.string().optional()
+  }),
+  handler: async (params, chatId, msg) => {
+    const removed = forgetCredentials(getCredentialsOwner(chatId, msg), params.provider);
+    if (!removed) {
+      return 'No stored credentials to forget.';
     }
-  },
+    return params.provider
+      ? `🗑️ Credentials for ${params.provider} removed.`
+      : '🗑️ All your stored credentials were removed.';
+  }
+});
 
-  getAudioResume: async (params, chatId) => {
+commands.register({
+  name: 'subscribe',
+  description: 'Get alerts for new invoices and reminders before they are due',
+  usage: '[provider:sancor] [reminderDays:3]',
+  params: z.object({
+    provider: providerParam().default(DEFAULT_PROVIDER),
+    reminderDays: z.coerce.number().int().min(0).max(30).default(DEFAULT_REMINDER_DAYS)
+  }),
+  handler: async ({ provider, reminderDays }, chatId, msg) => {
+    const owner = getCredentialsOwner(chatId, msg);
+    // Scheduled checks run unattended, so they need stored credentials
+    if (!getCredentials(owner, provider)) {
+      return `Error: No credentials stored for ${provider}.\n` +
+             `Use /setCredentials provider:${provider} username:username password:userpass first.`;
+    }
+
+    const key = `${owner}:${provider}`;
+    const existing = subscriptions.get(key);
+    subscriptions.set(key, { ...existing, chatId, owner, provider, reminderDays, createdAt: existing?.createdAt || Date.now() });
+
+    // The first check records the current invoices, later ones alert about new ones
+    if (!existing) {
+      checkSubscription(key).catch(error => console.error(`First invoice check failed for ${key}:`, error.message));
+    }
+
+    return `🔔 Subscribed to ${provider} invoices (schedule: ${INVOICE_CHECK_CRON}).\n` +
+           `I will tell you about new invoices and remind you ${reminderDays} day(s) before they are due.`;
+  }
+});
+
+commands.register({
+  name: 'unsubscribe',
+  description: 'Stop invoice alerts',
+  usage: '[provider:sancor]',
+  params: z.object({
+    provider: z.string().optional()
+  }),
+  handler: async (params, chatId, msg) => {
+    const owner = getCredentialsOwner(chatId, msg);
+    const keys = Array.from(subscriptions.values())
+      .filter(subscription => subscription.owner === owner && (!params.provider || subscription.provider === params.provider))
+      .map(subscription => `${subscription.owner}:${subscription.provider}`);
+
+    keys.forEach(key => subscriptions.delete(key));
+    return keys.length > 0
+      ? `🔕 Unsubscribed from ${keys.length} provider(s).`
+      : 'You have no invoice subscriptions to remove.';
+  }
+});
+
+commands.register({
+  name: 'subscriptions',
+  description: 'Show your invoice alerts',
+  handler: async (params, chatId, msg) => {
+    const owner = getCredentialsOwner(chatId, msg);
+    const mine = Array.from(subscriptions.values()).filter(subscription => subscription.owner === owner);
+    if (mine.length === 0) {
+      return 'You have no invoice subscriptions. Use /subscribe provider:sancor to get alerts.';
+    }
+
+    return `🔔 Your invoice subscriptions (schedule: ${INVOICE_CHECK_CRON}):\n` +
+      mine.map(subscription => {
+        const lastCheck = subscription.lastCheckedAt ? new Date(subscription.lastCheckedAt).toLocaleString() : 'not yet';
+        return `• ${subscription.provider} - reminder ${subscription.reminderDays} day(s) before due - last check: ${lastCheck}`;
+      }).join('\n');
+  }
+});
+
+commands.register({
+  name: 'history',
+  description: 'Show your invoice history and spending, or export it',
+  usage: '[provider:sancor] [since:YYYY-MM-DD] [summary:month|year] [format:csv|json]',
+  params: z.object({
+    provider: z.string().optional(),
+    since: dateParam().optional(),
+    summary: z.enum(['month', 'year']).default('month'),
+    format: z.enum(['csv', 'json']).optional()
+  }),
+  handler: async ({ provider, since, summary, format }, chatId, msg) => {
+    const entries = getHistory(getCredentialsOwner(chatId, msg), { provider, since });
+    if (entries.length === 0) {
+      return '📭 No invoices in your history yet. Fetch one with /getInvoice.';
+    }
+
+    if (format) {
+      await bot.sendDocument(chatId, Buffer.from(exportHistory(entries, format), 'utf-8'), {
+        caption: `📦 ${entries.length} invoice(s)`
+      }, {
+        filename: `invoice-history.${format}`,
+        contentType: format === 'csv' ? 'text/csv' : 'application/json'
+      });
+      return '✅ History exported.';
+    }
+
+    const totals = summarizeSpending(entries, { period: summary }).slice(-12)
+      .map(total => `• ${total.period} ${total.provider}: ${total.currency} ${total.total} (${total.count} invoice(s))`);
+    const trends = detectTrends(entries).map(trend => `📈 ${trend.message}`);
+
+    return `🧾 ${entries.length} invoice(s) in your history.\n\n` +
+      `💰 Spending per ${summary}:\n${totals.join('\n') || 'No amounts recorded yet.'}` +
+      (trends.length > 0 ? `\n\n${trends.join('\n')}` : '') +
+      '\n\nUse /history format:csv or format:json to export it.';
+  }
+});
+
+commands.register({
+  name: 'getAudioResume',
+  description: 'Start an audio transcription session',
+  handler: async (params, chatId) => {
     // Start audio session
     audioSessions.set(chatId, {
       waitingForAudio: true,
@@ -121,10 +644,169 @@ const taskHandlers = {
            '• Transcribe audio to text\n' +
            '• Provide a summary\n' +
            '• Detect language automatically\n' +
-           '• Handle multiple languages\n\n' +
+           '• Handle multiple languages\n' +
+           '• Take meeting minutes afterwards (/minutes)\n\n' +
            '⏰ Session will expire in 5 minutes if no audio is received.';
   }
-};
+});
+
+commands.register({
+  name: 'renameSpeaker',
+  description: 'Give a speaker of your last transcription a name',
+  usage: 'speaker:SPEAKER_1 name:"Ana Gómez"',
+  params: z.object({
+    speaker: z.string().min(1),
+    name: z.string().trim().min(1)
+  }),
+  handler: async (params, chatId) => {
+    const transcript = transcripts.get(chatId);
+    if (!transcript?.result.speakers) {
+      return 'No transcription with speakers to rename. Send an audio with /getAudioResume first.';
+    }
+
+    const labels = transcript.result.speakers.map(speaker => speaker.speaker);
+    if (!labels.includes(params.speaker)) {
+      return `❌ Unknown speaker "${params.speaker}". Speakers: ${labels.join(', ')}`;
+    }
+
+    const result = renameTranscriptionSpeakers(transcript.result, { [params.speaker]: params.name });
+    // Minutes taken before still have the old name
+    transcripts.set(chatId, { ...transcript, result, minutes: null });
+    return formatTranscriptionReply(result);
+  }
+});
+
+async function sendMinutesFile(chatId, minutes, format) {
+  await bot.sendDocument(chatId, Buffer.from(exportMinutes(minutes, format), 'utf-8'), {
+    caption: `📝 ${minutes.title}`
+  }, {
+    filename: `minutes.${format === 'json' ? 'json' : 'md'}`,
+    contentType: format === 'json' ? 'application/json' : 'text/markdown'
+  });
+}
+
+commands.register({
+  name: 'minutes',
+  description: 'Meeting minutes of your last transcription',
+  usage: '[format:markdown|json]',
+  params: z.object({
+    format: z.enum(MINUTES_FORMATS).optional()
+  }),
+  handler: async ({ format }, chatId) => {
+    const transcript = transcripts.get(chatId);
+    if (!transcript) {
+      return 'No transcription to take minutes from. Send an audio with /getAudioResume first.';
+    }
+
+    // Minutes are kept with the transcription, so asking for the other format is instant
+    let minutes = transcript.minutes;
+    if (!minutes) {
+      await bot.sendMessage(chatId, '📝 Taking the minutes...');
+      const { result } = transcript;
+      const minutesResult = await minutesAgent({
+        transcription: result.speakerTranscription || result.cleanedTranscription || result.transcription,
+        speakers: (result.speakers || []).map(speaker => speaker.speaker),
+        meetingDate: new Date(transcript.createdAt).toISOString().slice(0, 10)
+      });
+      if (!minutesResult.ok) {
+        return getUserMessage(minutesResult.error);
+      }
+      minutes = minutesResult.data.minutes;
+      transcripts.set(chatId, { ...transcript, minutes });
+    }
+
+    if (!format) {
+      const text = `${exportMinutes(minutes, 'markdown')}\nUse /minutes format:markdown or format:json to get it as a file.`;
+      if (text.length <= TELEGRAM_MESSAGE_LIMIT) {
+        return text;
+      }
+      // Minutes of a long meeting do not fit in one message
+      await sendMinutesFile(chatId, minutes, 'markdown');
+      return '✅ The minutes are too long for a message, so they were sent as a file.';
+    }
+
+    await sendMinutesFile(chatId, minutes, format);
+    return '✅ Minutes exported.';
+  }
+});
+
+commands.register({
+  name: 'start',
+  description: 'Show the main actions as buttons',
+  handler: async () => ({
+    text: '🤖 What would you like to do?',
+    prefix: 'cmd',
+    options: [
+      { text: '📄 Get an invoice', value: 'getInvoice' },
+      { text: '🎤 Transcribe an audio', value: 'getAudioResume' },
+      { text: '🏢 List providers', value: 'listProviders' },
+      { text: '❓ Help', value: 'help' }
+    ]
+  })
+});
+
+commands.register({
+  name: 'cancel',
+  description: 'Stop the current conversation or audio session',
+  handler: async (params, chatId) => {
+    const cancelled = conversations.cancel(chatId) || audioSessions.delete(chatId);
+    return cancelled ? '🛑 Cancelled.' : 'Nothing to cancel.';
+  }
+});
+
+commands.register({
+  name: 'help',
+  description: 'Show the available commands',
+  handler: async () => helpMessage()
+});
+
+function helpMessage() {
+  return '🤖 Welcome! Send me a command in this format:\n' +
+         '/taskName param1:value1 param2:"value with spaces"\n' +
+         'or just /getInvoice and I will ask for what is missing.\n\n' +
+         'Available tasks:\n' +
+         commands.helpText() + '\n\n' +
+         '🎤 For audio transcription, use /getAudioResume and then send me an audio message!';
+}
+
+// Chat reply for a finished transcription; with speakers, the text, statements
+// and action items say who said what
+function formatTranscriptionReply(transcriptionResult) {
+  const { analysis, speakers } = transcriptionResult;
+  let response = '🎵 Audio Transcription Complete!\n\n';
+
+  if (analysis) {
+    response += `📊 Analysis:\n`;
+    response += `• Language: ${analysis.detectedLanguage}\n`;
+    response += `• Content Type: ${analysis.contentType}\n`;
+    response += `• Speakers: ${speakers ? speakers.map(speaker => speaker.speaker).join(', ') : analysis.speakerCount}\n`;
+    response += `• Service: ${transcriptionResult.service}\n\n`;
+  }
+
+  response += `📝 Transcription:\n${transcriptionResult.speakerTranscription || transcriptionResult.transcription}\n\n`;
+
+  if (analysis && analysis.summary) {
+    response += `📋 Summary:\n${analysis.summary}\n\n`;
+  }
+
+  if (analysis && analysis.keyTopics && analysis.keyTopics.length > 0) {
+    response += `🔑 Key Topics:\n${analysis.keyTopics.map(topic => `• ${topic}`).join('\n')}`;
+  }
+
+  if (speakers && analysis?.speakerStatements?.length > 0) {
+    response += `\n\n💬 Key Statements:\n${analysis.speakerStatements.map(item => `• ${item.speaker}: ${item.statement}`).join('\n')}`;
+  }
+
+  if (speakers && analysis?.actionItems?.length > 0) {
+    response += `\n\n✅ Action Items:\n${analysis.actionItems.map(item => `• ${item.speaker}: ${item.task}`).join('\n')}`;
+  }
+
+  if (speakers) {
+    response += `\n\n✏️ Name the speakers with /renameSpeaker speaker:${speakers[0].speaker} name:"Ana"`;
+  }
+
+  return response;
+}
 
 // Handle audio processing
 async function processAudio(msg, chatId) {
@@ -133,12 +815,12 @@ async function processAudio(msg, chatId) {
     return null; // No active session
   }
 
-  // Clear the session
-  audioSessions.delete(chatId);
+  // Keep the session while processing so a restart can tell the user
+  audioSessions.set(chatId, { ...session, waitingForAudio: false, processing: true });
 
   try {
     // Send processing message
-    const processingMsg = await botPolling.sendMessage(chatId, '🔄 Processing your audio... Please wait.');
+    const processingMsg = await bot.sendMessage(chatId, '🔄 Processing your audio... Please wait.');
 
     let fileId, fileName, mimeType;
 
@@ -156,7 +838,7 @@ async function processAudio(msg, chatId) {
       fileName = msg.document.file_name || `document_${Date.now()}.mp3`;
       mimeType = msg.document.mime_type;
     } else {
-      await botPolling.editMessageText(
+      await bot.editMessageText(
         '❌ Please send an audio message, voice note, or audio file.',
         { chat_id: chatId, message_id: processingMsg.message_id }
       );
@@ -170,13 +852,20 @@ async function processAudio(msg, chatId) {
     console.log(`Audio downloaded to: ${audioFilePath}`);
 
     // Process with transcription agent
-    const transcriptionResult = await transcriptionAgent({
+    const result = await transcriptionAgent({
       audioFile: audioFilePath,
       outputFormat: 'json',
       includeTimestamps: false,
       includeAnalysis: true,
       cleanTranscription: false, // Disable to avoid the error you had
-      language: 'auto'
+      language: 'auto',
+      // Speakers are labelled when a diarization command is configured
+      diarize: Boolean(DIARIZATION_CMD),
+      // Long recordings are transcribed in chunks, show how far along it is
+      onProgress: ({ completed, total }) => bot.editMessageText(
+        `🔄 Transcribing your audio... ${completed}/${total} parts done.`,
+        { chat_id: chatId, message_id: processingMsg.message_id }
+      ).catch(() => {})
     });
 
     // Clean up the downloaded file
@@ -185,63 +874,50 @@ async function processAudio(msg, chatId) {
       console.log(`Cleaned up: ${audioFilePath}`);
     }
 
-    // Format response
-    let response = '🎵 Audio Transcription Complete!\n\n';
-    
-    if (transcriptionResult.analysis) {
-      response += `📊 Analysis:\n`;
-      response += `• Language: ${transcriptionResult.analysis.detectedLanguage}\n`;
-      response += `• Content Type: ${transcriptionResult.analysis.contentType}\n`;
-      response += `• Speakers: ${transcriptionResult.analysis.speakerCount}\n`;
-      response += `• Service: ${transcriptionResult.service}\n\n`;
-    }
-
-    response += `📝 Transcription:\n${transcriptionResult.transcription}\n\n`;
-
-    if (transcriptionResult.analysis && transcriptionResult.analysis.summary) {
-      response += `📋 Summary:\n${transcriptionResult.analysis.summary}\n\n`;
-    }
-
-    if (transcriptionResult.analysis && transcriptionResult.analysis.keyTopics && transcriptionResult.analysis.keyTopics.length > 0) {
-      response += `🔑 Key Topics:\n${transcriptionResult.analysis.keyTopics.map(topic => `• ${topic}`).join('\n')}`;
+    if (!result.ok) {
+      console.error('Transcription failed:', result.error);
+      await bot.editMessageText(
+        `${getUserMessage(result.error)}\n\nPlease try again with a different audio file or format.`,
+        { chat_id: chatId, message_id: processingMsg.message_id }
+      );
+      return;
     }
+    const transcriptionResult = result.data;
+    transcripts.set(chatId, { result: transcriptionResult, createdAt: Date.now() });
 
-    // Update the processing message with results
-    await botPolling.editMessageText(response, {
+    // Update the processing message with results, offering the minutes of the meeting
+    await bot.editMessageText(formatTranscriptionReply(transcriptionResult), {
       chat_id: chatId,
-      message_id: processingMsg.message_id
+      message_id: processingMsg.message_id,
+      reply_markup: toInlineKeyboard([{ text: '📝 Meeting minutes', value: 'minutes' }], 'cmd')
     });
 
   } catch (error) {
     console.error('Error processing audio:', error);
-    audioSessions.delete(chatId); // Clear session on error
     
-    await botPolling.sendMessage(chatId, 
+    await bot.sendMessage(chatId, 
       `❌ Error processing audio: ${error.message}\n\n` +
       'Please try again with a different audio file or format.'
     );
+  } finally {
+    audioSessions.delete(chatId);
   }
 }
 
-// Parse command and parameters from message
-function parseCommand(text) {
-  const parts = text.trim().split(' ');
-  const command = parts[0].replace('/', '');
-  const params = {};
-
-  for (let i = 1; i < parts.length; i++) {
-    const param = parts[i];
-    if (param.includes(':')) {
-      const [key, ...valueParts] = param.split(':');
-      params[key] = valueParts.join(':');
-    }
-  }
+// Audio that was being transcribed when the bot stopped is lost with the
+// process; reopen the session so the user can send it again
+function resumeAudioSessions() {
+  audioSessions.forEach((session, chatId) => {
+    if (!session.processing) return;
 
-  return { command, params };
+    audioSessions.set(chatId, { ...session, waitingForAudio: true, processing: false, startTime: Date.now() });
+    bot.sendMessage(chatId, '🔄 The bot restarted while transcribing your audio. Please send it again.').catch(() => {});
+  });
 }
 
-// Handle incoming messages (for polling)
-botPolling.on('message', async (msg) => {
+// Single entry point for messages. Polling emits them directly and the
+// webhook route feeds its updates in through bot.processUpdate().
+async function handleMessage(msg) {
   const chatId = msg.chat.id;
   const text = msg.text;
 
@@ -256,9 +932,9 @@ botPolling.on('message', async (msg) => {
   const session = audioSessions.get(chatId);
   if (session && session.waitingForAudio) {
     // Check session timeout (5 minutes)
-    if (Date.now() - session.startTime > 5 * 60 * 1000) {
+    if (Date.now() - session.startTime > SESSION_TTL_MS) {
       audioSessions.delete(chatId);
-      await botPolling.sendMessage(chatId, '⏰ Audio session expired. Please use /getAudioResume again if you want to transcribe audio.');
+      await bot.sendMessage(chatId, '⏰ Audio session expired. Please use /getAudioResume again if you want to transcribe audio.');
       return;
     }
 
@@ -271,47 +947,86 @@ botPolling.on('message', async (msg) => {
     // Handle text message during audio session (cancel session)
     if (text) {
       audioSessions.delete(chatId);
-      await botPolling.sendMessage(chatId, '❌ Audio session cancelled. You sent text instead of audio.');
+      await bot.sendMessage(chatId, '❌ Audio session cancelled. You sent text instead of audio.');
       return;
     }
 
     // Handle other message types during audio session
     audioSessions.delete(chatId);
-    await botPolling.sendMessage(chatId, '❌ Audio session cancelled. Please send an audio message next time.');
+    await bot.sendMessage(chatId, '❌ Audio session cancelled. Please send an audio message next time.');
+    return;
+  }
+
+  // Anything that is not a command answers the current conversation step
+  if (conversations.has(chatId) && !(text && text.startsWith('/'))) {
+    if (!text) {
+      await bot.sendMessage(chatId, 'Please answer with text or use the buttons (/cancel to stop).');
+      return;
+    }
+
+    try {
+      if (conversations.isSecretStep(chatId)) {
+        await deleteSecretMessage(chatId, msg);
+      }
+      await sendReply(chatId, await conversations.answer(chatId, text.trim(), { msg }));
+    } catch (error) {
+      console.error('Error in conversation:', error);
+      conversations.cancel(chatId);
+      await bot.sendMessage(chatId, 'Error: Something went wrong while processing your request.');
+    }
     return;
   }
 
   // Handle regular commands (no active audio session)
   if (!text || !text.startsWith('/')) {
-    await botPolling.sendMessage(chatId,
-      '🤖 Welcome! Send me a command in this format:\n' +
-      '/taskName param1:value1 param2:value2\n\n' +
-      'Available tasks:\n' +
-      '• /getInvoice username:username password:userpass\n' +
-      '• /getAudioResume - Start audio transcription session\n\n' +
-      '🎤 For audio transcription, use /getAudioResume and then send me an audio message!'
-    );
+    await bot.sendMessage(chatId, helpMessage());
     return;
   }
 
-  const { command, params } = parseCommand(text);
+  try {
+    const response = await commands.dispatch(text, chatId, msg);
+    await sendReply(chatId, response);
+  } catch (error) {
+    console.error('Error executing task:', error);
+    await bot.sendMessage(chatId, 'Error: Something went wrong while processing your request.');
+  }
+}
+
+// Inline keyboard buttons: "cmd:<name>" runs a command, "conv:<value>"
+// answers the current conversation step
+async function handleCallbackQuery(query) {
+  const chatId = query.message.chat.id;
+  // The button message was sent by the bot, the user who pressed it is query.from
+  const msg = { ...query.message, from: query.from };
+  const separator = query.data.indexOf(':');
+  const prefix = query.data.slice(0, separator);
+  const value = query.data.slice(separator + 1);
 
-  if (taskHandlers[command]) {
-    try {
-      const response = await taskHandlers[command](params, chatId);
-      await botPolling.sendMessage(chatId, response);
-    } catch (error) {
-      console.error('Error executing task:', error);
-      await botPolling.sendMessage(chatId, 'Error: Something went wrong while processing your request.');
+  await bot.answerCallbackQuery(query.id).catch(() => {});
+  // Drop the buttons so the same choice cannot be sent twice
+  await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: query.message.message_id }).catch(() => {});
+
+  try {
+    if (prefix === 'cmd') {
+      await sendReply(chatId, await commands.dispatch(`/${value}`, chatId, msg));
+    } else if (prefix === 'conv' && conversations.has(chatId)) {
+      await sendReply(chatId, await conversations.answer(chatId, value, { msg }));
+    } else {
+      await bot.sendMessage(chatId, '⏰ This conversation expired. Please start again.');
     }
-  } else {
-    await botPolling.sendMessage(chatId,
-      `❌ Unknown task: ${command}\n\n` +
-      'Available tasks:\n' +
-      '• /getInvoice username:username password:userpass\n' +
-      '• /getAudioResume - Start audio transcription session'
-    );
+  } catch (error) {
+    console.error('Error handling button:', error);
+    conversations.cancel(chatId);
+    await bot.sendMessage(chatId, 'Error: Something went wrong while processing your request.');
   }
+}
+
+bot.on('message', (msg) => {
+  handleMessage(msg).catch(error => console.error('Error handling message:', error));
+});
+
+bot.on('callback_query', (query) => {
+  handleCallbackQuery(query).catch(error => console.error('Error handling callback query:', error));
 });
 
 // Clean up expired sessions every minute
@@ -319,8 +1034,10 @@ setInterval(() => {
   const now = Date.now();
   const expiredSessions = [];
   
+  // Sessions still transcribing are removed by processAudio when it finishes,
+  // however long a long recording takes
   audioSessions.forEach((session, chatId) => {
-    if (now - session.startTime > 5 * 60 * 1000) { // 5 minutes
+    if (!session.processing && now - session.startTime > SESSION_TTL_MS) {
       expiredSessions.push(chatId);
     }
   });
@@ -329,107 +1046,109 @@ setInterval(() => {
     audioSessions.delete(chatId);
     console.log(`Cleaned up expired audio session for chat ${chatId}`);
   });
-}, 60000); // Run every minute
-
-// Webhook endpoint (for production)
-app.post(`/bot${BOT_TOKEN}`, async (req, res) => {
-  const { message } = req.body;
 
-  if (message) {
-    const chatId = message.chat.id;
-    const text = message.text;
-
-    console.log(`Webhook received from chat ${chatId}:`, {
-      text: text,
-      hasVoice: !!message.voice,
-      hasAudio: !!message.audio,
-      hasDocument: !!message.document
-    });
+  // Finished invoice jobs are only kept for a day
+  const expiredJobs = [];
+  invoiceJobs.forEach((record, id) => {
+    if (record.finishedAt && now - record.finishedAt > JOB_RETENTION_MS) {
+      expiredJobs.push(id);
+    }
+  });
+  expiredJobs.forEach(id => invoiceJobs.delete(id));
 
-    // Check if user has an active audio session
-    const session = audioSessions.get(chatId);
-    if (session && session.waitingForAudio) {
-      // Check session timeout
-      if (Date.now() - session.startTime > 5 * 60 * 1000) {
-        audioSessions.delete(chatId);
-        await bot.sendMessage(chatId, '⏰ Audio session expired. Please use /getAudioResume again if you want to transcribe audio.');
-        return res.sendStatus(200);
-      }
+  const expiredTranscripts = [];
+  transcripts.forEach((transcript, chatId) => {
+    if (now - transcript.createdAt > JOB_RETENTION_MS) {
+      expiredTranscripts.push(chatId);
+    }
+  });
+  expiredTranscripts.forEach(chatId => transcripts.delete(chatId));
 
-      // Handle audio messages
-      if (message.voice || message.audio || (message.document && message.document.mime_type && message.document.mime_type.startsWith('audio/'))) {
-        await processAudio(message, chatId);
-        return res.sendStatus(200);
-      }
+  cleanupExpiredArtifacts(INVOICE_ARTIFACTS_DIR, ARTIFACT_MAX_AGE_MS, now).forEach(filePath => {
+    console.log(`Cleaned up undelivered invoice file: ${filePath}`);
+  });
 
-      // Handle text message during audio session
-      if (text) {
-        audioSessions.delete(chatId);
-        await bot.sendMessage(chatId, '❌ Audio session cancelled. You sent text instead of audio.');
-        return res.sendStatus(200);
-      }
+  conversations.cleanupExpired(now).forEach(chatId => {
+    console.log(`Cleaned up expired conversation for chat ${chatId}`);
+    bot.sendMessage(chatId, '⏰ Conversation expired. Send the command again to start over.').catch(() => {});
+  });
+}, 60000); // Run every minute
 
-      // Handle other message types
-      audioSessions.delete(chatId);
-      await bot.sendMessage(chatId, '❌ Audio session cancelled. Please send an audio message next time.');
-      return res.sendStatus(200);
-    }
-
-    // Handle regular commands
-    if (!text || !text.startsWith('/')) {
-      await bot.sendMessage(chatId,
-        '🤖 Welcome! Send me a command in this format:\n' +
-        '/taskName param1:value1 param2:value2\n\n' +
-        'Available tasks:\n' +
-        '• /getInvoice username:username password:userpass\n' +
-        '• /getAudioResume - Start audio transcription session'
-      );
-      return res.sendStatus(200);
-    }
+// Run the scheduled invoice checks once in every minute that matches
+// INVOICE_CHECK_CRON; ticking twice a minute means no minute is skipped
+let lastScheduledMinute = null;
+setInterval(() => {
+  const now = new Date();
+  const minute = Math.floor(now.getTime() / 60000);
+  if (minute === lastScheduledMinute || !matchesCron(invoiceCheckSchedule, now)) return;
 
-    const { command, params } = parseCommand(text);
+  lastScheduledMinute = minute;
+  runSubscriptionChecks();
+}, 30000);
 
-    if (taskHandlers[command]) {
-      try {
-        const response = await taskHandlers[command](params, chatId);
-        await bot.sendMessage(chatId, response);
-      } catch (error) {
-        console.error('Error executing task:', error);
-        await bot.sendMessage(chatId, 'Error: Something went wrong while processing your request.');
-      }
-    } else {
-      await bot.sendMessage(chatId,
-        `❌ Unknown task: ${command}\n\n` +
-        'Available tasks:\n' +
-        '• /getInvoice username:username password:userpass\n' +
-        '• /getAudioResume - Start audio transcription session'
-      );
+// Webhook endpoint (for production). Telegram sends WEBHOOK_SECRET back in
+// the secret-token header, anything else is rejected.
+if (BOT_MODE === 'webhook') {
+  app.post(`/bot${BOT_TOKEN}`, (req, res) => {
+    if (req.get('x-telegram-bot-api-secret-token') !== WEBHOOK_SECRET) {
+      return res.sendStatus(401);
     }
-  }
 
-  res.sendStatus(200);
-});
+    // Answer right away, Telegram retries updates that take too long
+    bot.processUpdate(req.body);
+    res.sendStatus(200);
+  });
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    activeSessions: audioSessions.size 
+    activeSessions: audioSessions.size,
+    activeConversations: conversations.size(),
+    stateBackend: stateStore.backend,
+    subscriptions: subscriptions.size,
+    invoiceQueue: invoiceQueue.stats(),
+    browserPool: browserPool.stats(),
+    transcriptionProviders: transcriptionProviders.stats()
   });
 });
 
 // Start server
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
   console.log(`🚀 Telegram bot server running on port ${PORT}`);
+
+  try {
+    await bot.setMyCommands(commands.telegramCommands());
+  } catch (error) {
+    console.error('Failed to register the command menu:', error.message);
+  }
+
+  if (BOT_MODE === 'webhook') {
+    try {
+      await bot.setWebHook(`${WEBHOOK_URL}/bot${BOT_TOKEN}`, { secret_token: WEBHOOK_SECRET });
+      console.log(`🔗 Webhook registered at ${WEBHOOK_URL}/bot<token>`);
+    } catch (error) {
+      console.error('Failed to register webhook:', error.message);
+    }
+  } else {
+    console.log('🔄 Polling for updates');
+  }
+
+  // Pick up whatever was pending when the bot last stopped
+  resumeAudioSessions();
+  resumeInvoiceJobs();
   console.log(`📱 Bot is ready to receive messages`);
-  console.log(`🔗 Webhook URL: ${WEBHOOK_URL}/bot${BOT_TOKEN}`);
 });
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('🛑 Shutting down bot server...');
-  botPolling.stopPolling();
+  if (BOT_MODE === 'polling') {
+    await bot.stopPolling();
+  }
+  await browserPool.close().catch(() => {});
   process.exit(0);
 });
 
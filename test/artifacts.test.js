@@ -0,0 +1,59 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { getMimeType, renderFileName, getArtifactPath, createArtifact, cleanupArtifact, cleanupExpiredArtifacts } from '../tools/artifacts.js';
+
+describe('artifacts', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('renders file names without letting values add folders', () => {
+    expect(renderFileName('{provider}-{facturaId}{ext}', { provider: 'sancor', facturaId: 'A/0003 ../x', ext: '.pdf' }))
+      .toBe('sancor-A_0003_.._x.pdf');
+    expect(() => renderFileName('{nope}.pdf', {})).toThrow('Unknown placeholder {nope}');
+    expect(() => renderFileName('{ext}', { ext: '.pdf' })).toThrow(/invalid name/);
+  });
+
+  test('gives concurrent runs different paths by default', () => {
+    const options = { outputDir: tempDir, values: { provider: 'sancor', facturaId: 'A-1' }, ext: '.pdf' };
+    const first = getArtifactPath(options);
+
+    expect(path.dirname(first)).toBe(tempDir);
+    expect(first).toMatch(/sancor-A-1-[0-9a-f]{8}\.pdf$/);
+    expect(getArtifactPath(options)).not.toBe(first);
+  });
+
+  test('describes a file and deletes it once delivered', async () => {
+    const filePath = path.join(tempDir, 'invoice.pdf');
+    fs.writeFileSync(filePath, '%PDF-1.4 test');
+
+    const artifact = await createArtifact(filePath, { temporary: true });
+    expect(artifact).toEqual({
+      path: filePath,
+      fileName: 'invoice.pdf',
+      size: 13,
+      sha256: crypto.createHash('sha256').update('%PDF-1.4 test').digest('hex'),
+      mimeType: 'application/pdf',
+      temporary: true
+    });
+
+    expect(cleanupArtifact(artifact)).toBe(true);
+    expect(cleanupArtifact(artifact)).toBe(false);
+    expect(getMimeType('data.bin')).toBe('application/octet-stream');
+  });
+
+  test('removes files that were never delivered', () => {
+    const oldFile = path.join(tempDir, 'old.pdf');
+    fs.writeFileSync(oldFile, 'x');
+    fs.writeFileSync(path.join(tempDir, 'new.pdf'), 'x');
+    const hourAgo = (Date.now() - 60 * 60 * 1000) / 1000;
+    fs.utimesSync(oldFile, hourAgo, hourAgo);
+
+    expect(cleanupExpiredArtifacts(tempDir, 30 * 60 * 1000)).toEqual([oldFile]);
+    expect(cleanupExpiredArtifacts(path.join(tempDir, 'missing'), 0)).toEqual([]);
+  });
+});
@@ -0,0 +1,110 @@
+import { planChunks, mergeOverlappingText, stitchTranscripts } from '../tools/audioChunks.js';
+import { parseSilences } from '../tools/ffmpeg.js';
+
+describe('planChunks', () => {
+  test('cuts at fixed lengths with an overlap when there are no pauses', () => {
+    expect(planChunks({ duration: 1500, chunkSeconds: 600, overlapSeconds: 5 })).toEqual([
+      { index: 0, start: 0, end: 600 },
+      { index: 1, start: 595, end: 1200 },
+      { index: 2, start: 1195, end: 1500 }
+    ]);
+  });
+
+  test('moves each cut to the last pause before the target length', () => {
+    const silences = [
+      { start: 100, end: 101 },
+      { start: 560, end: 562 },
+      { start: 580, end: 581 },
+      { start: 1150, end: 1152 }
+    ];
+
+    expect(planChunks({ duration: 1300, chunkSeconds: 600, overlapSeconds: 5, silences })).toEqual([
+      { index: 0, start: 0, end: 580.5 },
+      { index: 1, start: 575.5, end: 1151 },
+      { index: 2, start: 1146, end: 1300 }
+    ]);
+  });
+
+  test('keeps a short recording in one chunk and rejects overlaps that are too long', () => {
+    expect(planChunks({ duration: 42, chunkSeconds: 600 })).toEqual([{ index: 0, start: 0, end: 42 }]);
+    expect(() => planChunks({ duration: 42, chunkSeconds: 10, overlapSeconds: 5 })).toThrow(/overlap/);
+  });
+});
+
+describe('stitching chunk transcripts', () => {
+  test('keeps the words heard in the overlap once', () => {
+    expect(mergeOverlappingText('we will ship the release on', 'Ship the release on Friday, after the review.'))
+      .toBe('we will ship the release on Friday, after the review.');
+    expect(mergeOverlappingText('first part.', 'Second part.')).toBe('first part. Second part.');
+  });
+
+  test('moves segment times to the whole file and drops duplicates around the cut', () => {
+    const results = [
+      {
+        chunk: { index: 0, start: 0, end: 60 },
+        segments: [
+          { id: 0, start: 0, end: 30, text: 'Good morning everyone.' },
+          { id: 1, start: 30, end: 56, text: 'Let us review the budget.' },
+          { id: 2, start: 56.5, end: 60, text: 'The first item' }
+        ]
+      },
+      {
+        chunk: { index: 1, start: 55, end: 100 },
+        segments: [
+          { id: 0, start: 0.5, end: 1, text: 'budget.' },
+          { id: 1, start: 1.5, end: 8, text: 'The first item is hosting.' },
+          { id: 2, start: 8, end: 45, text: 'It went up ten percent.' }
+        ]
+      }
+    ];
+
+    expect(stitchTranscripts(results)).toEqual({
+      text: 'Good morning everyone. Let us review the budget. The first item is hosting. It went up ten percent.',
+      segments: [
+        { id: 0, start: 0, end: 30, text: 'Good morning everyone.' },
+        { id: 1, start: 30, end: 56, text: 'Let us review the budget.' },
+        { id: 2, start: 56.5, end: 63, text: 'The first item is hosting.' },
+        { id: 3, start: 63, end: 100, text: 'It went up ten percent.' }
+      ]
+    });
+  });
+
+  test('keeps a long segment that started before the overlap and trims what is heard again', () => {
+    const results = [
+      {
+        chunk: { index: 0, start: 0, end: 60 },
+        segments: [{ id: 0, start: 40, end: 60, text: 'We agreed to move the launch' }]
+      },
+      {
+        chunk: { index: 1, start: 55, end: 80 },
+        segments: [{ id: 0, start: 0, end: 9, text: 'move the launch to March.' }]
+      }
+    ];
+
+    expect(stitchTranscripts(results).segments).toEqual([
+      { id: 0, start: 40, end: 60, text: 'We agreed to move the launch' },
+      { id: 1, start: 60, end: 64, text: 'to March.' }
+    ]);
+  });
+
+  test('merges plain texts when a service returned no segments', () => {
+    const results = [
+      { chunk: { index: 0, start: 0, end: 60 }, text: 'Hola a todos, empecemos', segments: null },
+      { chunk: { index: 1, start: 55, end: 90 }, text: 'empecemos con el presupuesto.', segments: null }
+    ];
+
+    expect(stitchTranscripts(results)).toEqual({ text: 'Hola a todos, empecemos con el presupuesto.', segments: null });
+  });
+});
+
+test('parseSilences reads the silencedetect log', () => {
+  const log = [
+    '[silencedetect @ 0x5583] silence_start: -0.0123',
+    '[silencedetect @ 0x5583] silence_end: 1.5 | silence_duration: 1.51',
+    'size=N/A time=00:10:00.00 bitrate=N/A',
+    '[silencedetect @ 0x5583] silence_start: 312.25',
+    '[silencedetect @ 0x5583] silence_end: 313.75 | silence_duration: 1.5'
+  ].join('\n');
+
+  expect(parseSilences(log)).toEqual([{ start: 0, end: 1.5 }, { start: 312.25, end: 313.75 }]);
+});
@@ -0,0 +1,73 @@
+import { z } from 'zod';
+import { parseCommand, createCommandRegistry, booleanParam, integerParam } from '../telegram/commands.js';
+
+describe('parseCommand', () => {
+  test('keeps quoted values and colons inside values', () => {
+    expect(parseCommand('/setCredentials username:"Juan Perez" password:a:b:c note:\'x y\'')).toEqual({
+      command: 'setCredentials',
+      params: { username: 'Juan Perez', password: 'a:b:c', note: 'x y' }
+    });
+  });
+
+  test('keeps quotes inside a value as part of it', () => {
+    expect(parseCommand('/setCredentials username:demo password:ab\'cd').params).toEqual({ username: 'demo', password: 'ab\'cd' });
+    expect(parseCommand('/setCredentials password:ab"cd username:demo').params).toEqual({ username: 'demo', password: 'ab"cd' });
+    expect(parseCommand('/setCredentials password:"ab cd" note:it\'s').params).toEqual({ password: 'ab cd', note: 'it\'s' });
+    // An unclosed quote at the start of a value is kept as typed
+    expect(parseCommand('/setCredentials password:\'abc').params).toEqual({ password: '\'abc' });
+  });
+
+  test('strips the bot mention from the command', () => {
+    expect(parseCommand('/help@TeoBot').command).toBe('help');
+  });
+});
+
+describe('createCommandRegistry', () => {
+  const registry = createCommandRegistry();
+  registry.register({
+    name: 'getInvoice',
+    description: 'Fetch an invoice',
+    usage: '[limit:N]',
+    params: z.object({ limit: integerParam().optional(), all: booleanParam().optional() }),
+    handler: async (params) => params
+  });
+
+  test('validates and converts parameters before calling the handler', async () => {
+    await expect(registry.dispatch('/getinvoice limit:3 all:true', 1)).resolves.toEqual({ limit: 3, all: true });
+  });
+
+  test('names the parameter that failed', async () => {
+    await expect(registry.dispatch('/getInvoice limit:many', 1)).resolves.toMatch(/Invalid parameter "limit"/);
+    await expect(registry.dispatch('/getInvoice lmit:3', 1)).resolves.toMatch(/Unknown parameter\(s\) for \/getInvoice: lmit/);
+  });
+
+  test('deletes messages with credentials even when validation fails', async () => {
+    const deleted = [];
+    const secretRegistry = createCommandRegistry({ onSecretMessage: async (chatId, msg) => deleted.push(msg.message_id) });
+    secretRegistry.register({
+      name: 'setCredentials',
+      description: 'Store credentials',
+      secret: true,
+      params: z.object({ provider: z.enum(['sancor']), username: z.string(), password: z.string() }),
+      handler: async () => 'stored'
+    });
+    secretRegistry.register({ name: 'help', description: 'Help', handler: async () => 'help' });
+
+    await expect(secretRegistry.dispatch('/setCredentials provider:typo username:u password:p', 1, { message_id: 1 }))
+      .resolves.toMatch(/Invalid parameter "provider"/);
+    await expect(secretRegistry.dispatch('/setCredentials provider:sancor usr:u', 1, { message_id: 2 }))
+      .resolves.toMatch(/Unknown parameter/);
+    await expect(secretRegistry.dispatch('/help pasword:p', 1, { message_id: 3 })).resolves.toMatch(/Unknown parameter/);
+    await expect(secretRegistry.dispatch('/setCredential password:p', 1, { message_id: 4 })).resolves.toMatch(/Unknown task/);
+    await secretRegistry.dispatch('/help', 1, { message_id: 5 });
+    await secretRegistry.dispatch('/setCredentials', 1, { message_id: 6 });
+
+    expect(deleted).toEqual([1, 2, 3, 4]);
+  });
+
+  test('generates help text and the Telegram menu', async () => {
+    expect(registry.helpText()).toBe('• /getInvoice [limit:N] - Fetch an invoice');
+    expect(registry.telegramCommands()).toEqual([{ command: 'getinvoice', description: 'Fetch an invoice' }]);
+    await expect(registry.dispatch('/nope', 1)).resolves.toMatch(/Unknown task: nope/);
+  });
+});
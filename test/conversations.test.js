@@ -0,0 +1,68 @@
+import { createConversationManager, toInlineKeyboard } from '../telegram/conversations.js';
+
+function createInvoiceFlow(stored = false) {
+  const conversations = createConversationManager({ ttlMs: 1000 });
+  conversations.defineFlow({
+    name: 'getInvoice',
+    steps: [
+      {
+        key: 'provider',
+        prompt: 'Which provider?',
+        options: () => [{ text: 'Sancor', value: 'sancor' }, { text: 'Camuzzi', value: 'camuzzi' }],
+        validate: value => ['sancor', 'camuzzi'].includes(value) ? null : `Unknown provider "${value}".`
+      },
+      { key: 'username', prompt: data => `Username for ${data.provider}?`, skip: () => stored },
+      { key: 'password', prompt: 'Password?', secret: true, skip: () => stored }
+    ],
+    onComplete: async data => `done ${JSON.stringify(data)}`
+  });
+  return conversations;
+}
+
+describe('createConversationManager', () => {
+  test('asks for each missing value in order and completes the flow', async () => {
+    const conversations = createInvoiceFlow();
+
+    const first = await conversations.start(1, 'getInvoice');
+    expect(first.text).toMatch(/^Which provider\?/);
+    expect(first.options).toHaveLength(2);
+
+    await expect(conversations.answer(1, 'nope')).resolves.toEqual({ text: expect.stringMatching(/Unknown provider "nope"/) });
+    await expect(conversations.answer(1, 'camuzzi')).resolves.toEqual({ text: expect.stringMatching(/^Username for camuzzi\?/), options: undefined });
+
+    await conversations.answer(1, 'juan');
+    expect(conversations.isSecretStep(1)).toBe(true);
+    await expect(conversations.answer(1, 'secret')).resolves.toBe('done {"provider":"camuzzi","username":"juan","password":"secret"}');
+    expect(conversations.has(1)).toBe(false);
+  });
+
+  test('skips known and unneeded steps', async () => {
+    const conversations = createInvoiceFlow(true);
+    await expect(conversations.start(1, 'getInvoice', { provider: 'sancor', limit: undefined })).resolves.toBe('done {"provider":"sancor"}');
+  });
+
+  test('cancels and expires sessions', async () => {
+    const conversations = createInvoiceFlow();
+    await conversations.start(1, 'getInvoice');
+    await conversations.start(2, 'getInvoice');
+
+    expect(conversations.cancel(1)).toBe(true);
+    expect(conversations.cancel(1)).toBe(false);
+    await expect(conversations.answer(1, 'sancor')).resolves.toBeNull();
+
+    expect(conversations.cleanupExpired(Date.now() + 5000)).toEqual([2]);
+    expect(conversations.size()).toBe(0);
+  });
+
+  test('rejects unknown flows', async () => {
+    await expect(createInvoiceFlow().start(1, 'nope')).rejects.toThrow('Unknown conversation flow: nope');
+  });
+});
+
+describe('toInlineKeyboard', () => {
+  test('renders one button per row with prefixed callback data', () => {
+    expect(toInlineKeyboard([{ text: 'Sancor', value: 'sancor' }], 'cmd')).toEqual({
+      inline_keyboard: [[{ text: 'Sancor', callback_data: 'cmd:sancor' }]]
+    });
+  });
+});
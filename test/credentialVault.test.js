@@ -0,0 +1,64 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'credential-vault-'));
+process.env.VAULT_PATH = path.join(tempDir, 'vault.json');
+process.env.VAULT_KEY = 'test-vault-key';
+
+const { isVaultConfigured, setCredentials, getCredentials, listCredentialProviders, forgetCredentials } = await import('../tools/credentialVault.js');
+
+describe('credential vault', () => {
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('stores credentials encrypted and reads them back per owner and provider', () => {
+    setCredentials(42, 'sancor', { username: 'demo', password: 's3cret' });
+
+    expect(fs.readFileSync(process.env.VAULT_PATH, 'utf-8')).not.toMatch(/s3cret|demo/);
+    expect(getCredentials(42, 'sancor')).toEqual({ username: 'demo', password: 's3cret' });
+    expect(getCredentials(43, 'sancor')).toBeNull();
+    expect(listCredentialProviders(42)).toEqual(['sancor']);
+  });
+
+  test('refuses entries moved to another owner', () => {
+    const vault = JSON.parse(fs.readFileSync(process.env.VAULT_PATH, 'utf-8'));
+    vault['99'] = vault['42'];
+    fs.writeFileSync(process.env.VAULT_PATH, JSON.stringify(vault));
+
+    expect(() => getCredentials(99, 'sancor')).toThrow(/could not be decrypted/);
+  });
+
+  test('follows VAULT_KEY changes and reports a missing key', () => {
+    setCredentials(7, 'sancor', { username: 'demo', password: 's3cret' });
+
+    process.env.VAULT_KEY = 'another-key';
+    expect(() => getCredentials(7, 'sancor')).toThrow(/Was VAULT_KEY changed/);
+
+    delete process.env.VAULT_KEY;
+    expect(isVaultConfigured()).toBe(false);
+    expect(() => setCredentials(7, 'sancor', { username: 'demo', password: 's3cret' })).toThrow(/VAULT_KEY is not set/);
+
+    process.env.VAULT_KEY = 'test-vault-key';
+    expect(isVaultConfigured()).toBe(true);
+    expect(getCredentials(7, 'sancor')).toEqual({ username: 'demo', password: 's3cret' });
+  });
+
+  test('forgets one provider or every credential of an owner', () => {
+    setCredentials(42, 'camuzzi', { username: 'demo', password: 'gas' });
+
+    expect(forgetCredentials(42, 'camuzzi')).toBe(true);
+    expect(listCredentialProviders(42)).toEqual(['sancor']);
+    expect(forgetCredentials(42)).toBe(true);
+    expect(forgetCredentials(42)).toBe(false);
+  });
+
+  test('refuses to overwrite a vault file it cannot read', () => {
+    fs.writeFileSync(process.env.VAULT_PATH, '{ "42": { "sancor": ');
+
+    expect(() => setCredentials(42, 'camuzzi', { username: 'demo', password: 'gas' })).toThrow(/could not be read/);
+    expect(() => getCredentials(42, 'sancor')).toThrow(/could not be read/);
+    expect(fs.readFileSync(process.env.VAULT_PATH, 'utf-8')).toBe('{ "42": { "sancor": ');
+  });
+});
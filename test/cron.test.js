@@ -0,0 +1,38 @@
+import { parseCron, matchesCron } from '../tools/cron.js';
+
+describe('parseCron', () => {
+  test('expands lists, ranges and steps', () => {
+    const schedule = parseCron('*/20 8-10,18 * * 1-5');
+    expect(Array.from(schedule.minute.values)).toEqual([0, 20, 40]);
+    expect(Array.from(schedule.hour.values)).toEqual([8, 9, 10, 18]);
+    expect(schedule.dayOfMonth.any).toBe(true);
+  });
+
+  test('reads both 0 and 7 as Sunday', () => {
+    expect(Array.from(parseCron('0 9 * * 7').dayOfWeek.values)).toEqual([0]);
+    expect(Array.from(parseCron('0 9 * * 5-7').dayOfWeek.values)).toEqual([5, 6, 0]);
+    expect(matchesCron(parseCron('0 9 * * 7'), new Date(2025, 9, 12, 9, 0))).toBe(true); // Sunday
+    expect(() => parseCron('0 9 * * 8')).toThrow(/bad dayOfWeek field "8"/);
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => parseCron('0 9 * *')).toThrow(/expected 5 fields/);
+    expect(() => parseCron('0 25 * * *')).toThrow(/bad hour field "25"/);
+    expect(() => parseCron('*/0 * * * *')).toThrow(/bad minute field/);
+  });
+});
+
+describe('matchesCron', () => {
+  test('matches the local time of a date', () => {
+    const schedule = parseCron('0 9 * * *');
+    expect(matchesCron(schedule, new Date(2025, 9, 10, 9, 0))).toBe(true);
+    expect(matchesCron(schedule, new Date(2025, 9, 10, 9, 1))).toBe(false);
+  });
+
+  test('either day field matches when both are restricted', () => {
+    const schedule = parseCron('0 9 1 * 1');
+    expect(matchesCron(schedule, new Date(2025, 9, 1, 9, 0))).toBe(true); // Wednesday the 1st
+    expect(matchesCron(schedule, new Date(2025, 9, 6, 9, 0))).toBe(true); // Monday
+    expect(matchesCron(schedule, new Date(2025, 9, 7, 9, 0))).toBe(false);
+  });
+});
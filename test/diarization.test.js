@@ -0,0 +1,123 @@
+import fs from 'fs';
+import path from 'path';
+import { createFakeBinaries } from './helpers/fakeBinaries.js';
+
+const binaries = createFakeBinaries('diarization-');
+const tempDir = binaries.dir;
+
+// Stand-in for the diarization script, which writes pyannote style RTTM
+const fakeDiarize = binaries.write('diarize', `cat > "$2" <<'RTTM'
+SPEAKER audio 1 0.000 4.200 <NA> <NA> SPEAKER_01 <NA> <NA>
+SPEAKER audio 1 4.500 3.000 <NA> <NA> SPEAKER_00 <NA> <NA>
+SPEAKER audio 1 7.800 2.200 <NA> <NA> SPEAKER_01 <NA> <NA>
+RTTM
+`);
+
+// Module level settings are read on import, so set them before loading it
+process.env.DIARIZATION_CMD = fakeDiarize;
+process.env.FFMPEG_PATH = binaries.ffmpeg();
+
+const {
+  parseRttm,
+  assignSpeakers,
+  renameSpeakers,
+  summarizeSpeakers,
+  formatSpeakerText,
+  diarizeAudio
+} = await import('../tools/diarization.js');
+const { formatTranscription, renameTranscriptionSpeakers } = await import('../agents/resumeAudioAgent.js');
+
+const segments = [
+  { id: 0, start: 0, end: 2, text: 'Good morning.' },
+  { id: 1, start: 2, end: 4.4, text: 'Let us start with the budget.' },
+  { id: 2, start: 4.4, end: 7.5, text: 'I will send the numbers on Friday.' },
+  { id: 3, start: 7.9, end: 10, text: 'Thanks.' }
+];
+const turns = [
+  { start: 0, end: 4.2, speaker: 'SPEAKER_1' },
+  { start: 4.5, end: 7.5, speaker: 'SPEAKER_2' },
+  { start: 7.8, end: 10, speaker: 'SPEAKER_1' }
+];
+
+describe('speaker diarization', () => {
+  afterAll(() => {
+    binaries.cleanup();
+  });
+
+  test('reads RTTM turns in time order', () => {
+    const rttm = [
+      'SPEAKER meeting 1 12.5 2.25 <NA> <NA> spk_b <NA> <NA>',
+      '',
+      'SPEAKER meeting 1 0.0 3.5 <NA> <NA> spk_a <NA> <NA>'
+    ].join('\n');
+
+    expect(parseRttm(rttm)).toEqual([
+      { start: 0, end: 3.5, speaker: 'spk_a' },
+      { start: 12.5, end: 14.75, speaker: 'spk_b' }
+    ]);
+  });
+
+  test('gives each segment the speaker who talks the longest during it', () => {
+    expect(assignSpeakers(segments, turns).map(segment => segment.speaker))
+      .toEqual(['SPEAKER_1', 'SPEAKER_1', 'SPEAKER_2', 'SPEAKER_1']);
+    // 7.5-7.8 falls between two turns, the closest one wins
+    expect(assignSpeakers([{ start: 7.55, end: 7.75, text: 'Ok.' }], turns)[0].speaker).toBe('SPEAKER_1');
+  });
+
+  test('renames speakers and groups the text by speaker', () => {
+    const labelled = renameSpeakers(assignSpeakers(segments, turns), { SPEAKER_1: ' Ana ' });
+
+    expect(formatSpeakerText(labelled)).toBe(
+      'Ana: Good morning. Let us start with the budget.\n\n' +
+      'SPEAKER_2: I will send the numbers on Friday.\n\n' +
+      'Ana: Thanks.'
+    );
+    expect(summarizeSpeakers(labelled)).toEqual([
+      { speaker: 'Ana', segments: 3, seconds: 6.5 },
+      { speaker: 'SPEAKER_2', segments: 1, seconds: 3.1 }
+    ]);
+  });
+
+  test('runs the diarization command and labels speakers by first appearance', async () => {
+    const audioFile = path.join(tempDir, 'meeting.ogg');
+    fs.writeFileSync(audioFile, 'fake audio');
+
+    const result = await diarizeAudio(audioFile, { numSpeakers: 2 });
+
+    expect(result).toEqual([
+      { start: 0, end: 4.2, speaker: 'SPEAKER_1' },
+      { start: 4.5, end: 7.5, speaker: 'SPEAKER_2' },
+      { start: 7.8, end: 10, speaker: 'SPEAKER_1' }
+    ]);
+    expect(fs.readFileSync(binaries.argsLog, 'utf-8')).toMatch(/audio\.wav \S+audio\.rttm 2/);
+  });
+
+  test('shows the speakers in every output format and renames them after the fact', () => {
+    const timestamps = assignSpeakers(segments.slice(1, 3), turns);
+    const result = {
+      transcription: 'Let us start with the budget. I will send the numbers on Friday.',
+      timestamps,
+      speakers: summarizeSpeakers(timestamps),
+      speakerTranscription: formatSpeakerText(timestamps),
+      analysis: {
+        summary: 'SPEAKER_1 opened the budget review and SPEAKER_2 will share the numbers.',
+        speakerStatements: [{ speaker: 'SPEAKER_1', statement: 'Budget first' }],
+        actionItems: [{ speaker: 'SPEAKER_2', task: 'Send the numbers on Friday' }]
+      }
+    };
+
+    const renamed = renameTranscriptionSpeakers(result, { SPEAKER_2: 'Luis' });
+
+    expect(formatTranscription(renamed, 'text')).toBe('SPEAKER_1: Let us start with the budget.\n\nLuis: I will send the numbers on Friday.');
+    expect(formatTranscription(renamed, 'srt')).toBe(
+      '1\n00:00:02,000 --> 00:00:04,400\nSPEAKER_1: Let us start with the budget.\n\n' +
+      '2\n00:00:04,400 --> 00:00:07,500\nLuis: I will send the numbers on Friday.\n'
+    );
+    expect(formatTranscription(renamed, 'vtt')).toContain('00:00:04.400 --> 00:00:07.500\n<v Luis>I will send the numbers on Friday.');
+    expect(JSON.parse(formatTranscription(renamed, 'json')).speakers.map(speaker => speaker.speaker)).toEqual(['SPEAKER_1', 'Luis']);
+    expect(renamed.analysis).toMatchObject({
+      summary: 'SPEAKER_1 opened the budget review and Luis will share the numbers.',
+      actionItems: [{ speaker: 'Luis', task: 'Send the numbers on Friday' }]
+    });
+  });
+});
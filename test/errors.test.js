@@ -0,0 +1,165 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  AuthFailedError,
+  LlmSchemaError,
+  TranscriptionProviderError,
+  TimeoutError,
+  toErrorInfo,
+  getUserMessage
+} from '../tools/errors.js';
+import { createStepLog, okResult, errorResult } from '../tools/agentResult.js';
+import { createModel, createFakeModelFactory, setModelFactory } from '../llm/index.js';
+import { transcriptionAgent } from '../agents/resumeAudioAgent.js';
+import { z } from 'zod';
+
+describe('agent errors', () => {
+  test('error classes carry their type as name, with details and cause', () => {
+    const cause = new Error('socket hang up');
+    const error = new TranscriptionProviderError('Transcription failed', { cause, details: { attempts: [] } });
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('TranscriptionProviderError');
+    expect(error.cause).toBe(cause);
+    expect(toErrorInfo(error)).toEqual({ type: 'TranscriptionProviderError', message: 'Transcription failed', details: { attempts: [] } });
+  });
+
+  test('maps every type to a user message and unknown errors to a generic one', () => {
+    expect(getUserMessage(new AuthFailedError('bad password'))).toMatch(/Login failed/);
+    expect(getUserMessage({ type: 'TimeoutError', message: 'Job timed out after 10ms' })).toMatch(/took too long/);
+    expect(getUserMessage(new TypeError('x is undefined'))).toMatch(/Something went wrong/);
+    expect(toErrorInfo(new TypeError('x is undefined')).type).toBe('UnknownError');
+
+    // Playwright timeouts already use the TimeoutError name
+    const playwrightTimeout = new Error('locator.click: Timeout 30000ms exceeded');
+    playwrightTimeout.name = 'TimeoutError';
+    expect(toErrorInfo(playwrightTimeout).type).toBe('TimeoutError');
+  });
+
+  test('answers that do not match the schema become LlmSchemaError', async () => {
+    setModelFactory(createFakeModelFactory({ tableAnalyzer: [{ amount: 'not a number' }] }));
+    try {
+      const model = createModel('tableAnalyzer').withStructuredOutput(z.object({ amount: z.number() }));
+      await expect(model.invoke('prompt')).rejects.toBeInstanceOf(LlmSchemaError);
+    } finally {
+      setModelFactory(null);
+    }
+  });
+});
+
+describe('agent result envelope', () => {
+  test('records ok, failed and skipped steps', async () => {
+    const steps = createStepLog();
+    await steps.run('openPage', async () => 'page');
+    steps.skip('login', 'stored session is still valid');
+    await expect(steps.run('download', async () => { throw new TimeoutError('too slow'); })).rejects.toThrow('too slow');
+
+    const result = errorResult(new TimeoutError('too slow'), steps.steps);
+    expect(result).toMatchObject({ ok: false, data: null, error: { type: 'TimeoutError', message: 'too slow' } });
+    expect(result.steps).toMatchObject([
+      { name: 'openPage', status: 'ok' },
+      { name: 'login', status: 'skipped', reason: 'stored session is still valid' },
+      { name: 'download', status: 'failed', error: 'too slow' }
+    ]);
+    expect(okResult({ id: 1 })).toEqual({ ok: true, data: { id: 1 }, error: null, steps: [] });
+  });
+
+  test('retries a step with the next candidate and reports the failed ones to pick', async () => {
+    const steps = createStepLog();
+    const seenFailures = [];
+    const { candidate, result } = await steps.retry('openInvoices', {
+      pick: async (failures) => {
+        seenFailures.push(failures.map(failure => failure.candidate));
+        return failures.length === 0 ? 'Salir' : 'Mis facturas';
+      },
+      act: async (text) => text.toUpperCase(),
+      verify: async (text) => {
+        if (text === 'Salir') throw new Error('No invoice table showed up');
+      }
+    });
+
+    expect({ candidate, result }).toEqual({ candidate: 'Mis facturas', result: 'MIS FACTURAS' });
+    expect(seenFailures).toEqual([[], ['Salir']]);
+    expect(steps.steps).toMatchObject([{
+      name: 'openInvoices',
+      status: 'ok',
+      attempts: 2,
+      failures: [{ candidate: 'Salir', error: 'No invoice table showed up' }]
+    }]);
+  });
+
+  test('gives up after the last attempt or on a final error', async () => {
+    const steps = createStepLog();
+    const failing = steps.retry('readInvoices', {
+      attempts: 2,
+      errorType: LlmSchemaError,
+      pick: async (failures) => `candidate ${failures.length + 1}`,
+      act: async () => { throw new Error('not in the table'); }
+    });
+    await expect(failing).rejects.toMatchObject({
+      name: 'LlmSchemaError',
+      details: { failures: [{ candidate: 'candidate 1' }, { candidate: 'candidate 2' }] }
+    });
+
+    let picks = 0;
+    const rejected = steps.retry('clickLogin', {
+      pick: async () => { picks++; return 'Ingresar'; },
+      act: async () => { throw new AuthFailedError('The login form is still shown'); }
+    });
+    await expect(rejected).rejects.toBeInstanceOf(AuthFailedError);
+    expect(picks).toBe(1);
+    expect(steps.steps.map(step => `${step.name}:${step.status}:${step.attempts}`)).toEqual(['readInvoices:failed:2', 'clickLogin:failed:0']);
+  });
+
+  test('retries when picking a candidate fails', async () => {
+    const steps = createStepLog();
+    let picks = 0;
+
+    const { candidate } = await steps.retry('clickLogin', {
+      pick: async () => {
+        picks++;
+        if (picks === 1) throw new LlmSchemaError('The buttonAnalyzer answer did not match the expected schema');
+        return 'Ingresar';
+      },
+      act: async () => {}
+    });
+
+    expect(candidate).toBe('Ingresar');
+    expect(steps.steps).toMatchObject([{
+      name: 'clickLogin',
+      status: 'ok',
+      attempts: 2,
+      failures: [{ candidate: '(no answer)', error: 'The buttonAnalyzer answer did not match the expected schema' }]
+    }]);
+  });
+
+  test('stops retrying once the run is aborted', async () => {
+    const controller = new AbortController();
+    const steps = createStepLog({ signal: controller.signal });
+    const retrying = steps.retry('download', {
+      pick: async () => 'Descargar',
+      act: async () => {
+        controller.abort(new TimeoutError('Job timed out after 10ms'));
+        throw new Error('Target page, context or browser has been closed');
+      }
+    });
+
+    await expect(retrying).rejects.toBeInstanceOf(TimeoutError);
+  });
+
+  test('transcriptionAgent returns an error envelope instead of throwing', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcription-'));
+    const audioFile = path.join(tempDir, 'notes.txt');
+    fs.writeFileSync(audioFile, 'not audio');
+
+    try {
+      const result = await transcriptionAgent({ audioFile });
+      expect(result).toMatchObject({ ok: false, data: null, error: { type: 'UnknownError' } });
+      expect(result.error.message).toMatch(/Unsupported file format/);
+      expect(result.steps).toMatchObject([{ name: 'validate', status: 'failed' }]);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
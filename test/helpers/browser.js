@@ -0,0 +1,9 @@
+import fs from 'fs';
+import { chromium } from 'playwright';
+
+// Browser tests need a local Chromium (npx playwright install chromium)
+const browserAvailable = fs.existsSync(chromium.executablePath());
+
+const describeWithBrowser = browserAvailable ? describe : describe.skip;
+
+export { browserAvailable, describeWithBrowser };
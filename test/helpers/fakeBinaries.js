@@ -0,0 +1,34 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// ffmpeg stand-in: copies the input (-i) to the output path (last argument)
+const FAKE_FFMPEG = `while [ $# -gt 1 ]; do
+  if [ "$1" = "-i" ]; then input="$2"; fi
+  shift
+done
+cp "$input" "$1"
+`;
+
+function writeExecutable(filePath, script) {
+  fs.writeFileSync(filePath, `#!/bin/sh\n${script}`, { mode: 0o755 });
+  return filePath;
+}
+
+// Temp folder holding shell scripts that stand in for external binaries.
+// write(name, script) logs the arguments of each call to argsLog before
+// running script and returns the path to put in the env var of the module.
+function createFakeBinaries(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  const argsLog = path.join(dir, 'args.txt');
+
+  return {
+    dir,
+    argsLog,
+    write: (name, script) => writeExecutable(path.join(dir, name), `echo "$@" > "${argsLog}"\n${script}`),
+    ffmpeg: () => writeExecutable(path.join(dir, 'ffmpeg'), FAKE_FFMPEG),
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+export { createFakeBinaries };
@@ -0,0 +1,42 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.pdf': 'application/pdf',
+  '.json': 'application/json'
+};
+
+// Serve a folder of recorded pages on a random local port
+async function startFixtureServer(rootDir) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const filePath = path.join(rootDir, path.normalize(pathname).replace(/^(\.\.[/\\])+/, ''));
+
+    if (!filePath.startsWith(rootDir) || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    const extension = path.extname(filePath);
+    const headers = { 'Content-Type': MIME_TYPES[extension] || 'application/octet-stream' };
+    if (extension === '.pdf') {
+      headers['Content-Disposition'] = `attachment; filename="${path.basename(filePath)}"`;
+    }
+
+    res.writeHead(200, headers);
+    fs.createReadStream(filePath).pipe(res);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+export { startFixtureServer };
@@ -0,0 +1,289 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+import { describeWithBrowser } from './helpers/browser.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sancor');
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'invoice-agent-'));
+
+// The real profiles plus, per test, a "fixture" profile that can recognize a stored session
+const providersDir = path.join(tempDir, 'providers');
+const realProvidersDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'providers');
+fs.mkdirSync(providersDir);
+fs.readdirSync(realProvidersDir).filter(file => file.endsWith('.json'))
+  .forEach(file => fs.copyFileSync(path.join(realProvidersDir, file), path.join(providersDir, file)));
+const sancorProfile = JSON.parse(fs.readFileSync(path.join(realProvidersDir, 'sancor.json'), 'utf-8'));
+
+// Module level settings are read on import, so set them before loading the agent
+process.env.SELECTOR_CACHE_PATH = path.join(tempDir, 'selectors.json');
+process.env.SESSIONS_DIR = path.join(tempDir, 'sessions');
+process.env.HISTORY_DIR = path.join(tempDir, 'history');
+process.env.PROVIDERS_DIR = providersDir;
+
+const { invoiceAgent } = await import('../agents/invoiceAgent.js');
+const { createFakeModelFactory, setModelFactory } = await import('../llm/index.js');
+const { resetSelectorCache } = await import('../tools/selectorCache.js');
+const { getSessionPath } = await import('../tools/sessionStore.js');
+const { getHistory } = await import('../tools/invoiceHistory.js');
+
+const loginScript = () => ({
+  inputAnalyzer: [{ elementId: 'usuario' }, { elementId: 'clave' }],
+  buttonAnalyzer: [{ buttonText: 'Ingresar' }, { buttonText: 'Mis facturas' }]
+});
+
+describeWithBrowser('invoiceAgent against local fixture pages', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startFixtureServer(fixturesDir);
+  });
+
+  afterAll(async () => {
+    setModelFactory(null);
+    await server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    resetSelectorCache();
+  });
+
+  test('logs in, opens the invoices and reads the latest invoice', async () => {
+    const fakeModel = createFakeModelFactory(loginScript());
+    setModelFactory(fakeModel);
+
+    const result = await invoiceAgent({
+      provider: 'sancor',
+      url: `${server.url}/login.html`,
+      userInformation: { username: 'demo', password: 'secret' }
+    });
+
+    expect(result.ok).toBe(true);
+    expect(result.steps.map(step => `${step.name}:${step.status}`)).toEqual([
+      'openPage:ok', 'fillUsername:ok', 'fillPassword:ok', 'clickLogin:ok', 'openInvoices:ok',
+      'waitForTable:ok', 'readInvoices:ok', 'download:skipped', 'saveHistory:ok'
+    ]);
+    expect(result.data).toEqual({
+      expirationDate: '10/10/2025',
+      amount: '$ 152.340,50',
+      facturaId: 'A-0003-00012345'
+    });
+    expect(fakeModel.calls.map(call => call.agentName)).toEqual([
+      'inputAnalyzer', 'inputAnalyzer', 'buttonAnalyzer', 'buttonAnalyzer'
+    ]);
+    // The sancor profile recognizes a logged-in page, so the session is kept
+    expect(fs.existsSync(getSessionPath('sancor', { username: 'demo', password: 'secret' }))).toBe(true);
+  }, 60000);
+
+  test('returns every row with typed fields in all mode', async () => {
+    setModelFactory(createFakeModelFactory(loginScript()));
+
+    const { data: invoices } = await invoiceAgent({
+      provider: 'sancor',
+      url: `${server.url}/login.html`,
+      userInformation: { username: 'demo', password: 'secret' },
+      mode: 'all',
+      filters: { onlyUnpaid: true }
+    });
+
+    expect(invoices).toEqual([{
+      facturaId: 'A-0003-00012345',
+      issueDate: null,
+      expirationDate: '2025-10-10',
+      amount: 152340.5,
+      currency: 'ARS',
+      status: 'unpaid'
+    }]);
+  }, 60000);
+
+  test('replays cached selectors without calling the LLM', async () => {
+    setModelFactory(createFakeModelFactory(loginScript()));
+    await invoiceAgent({
+      provider: 'sancor',
+      url: `${server.url}/login.html`,
+      userInformation: { username: 'demo', password: 'secret' }
+    });
+
+    const emptyModel = createFakeModelFactory({});
+    setModelFactory(emptyModel);
+    const { data: invoice } = await invoiceAgent({
+      provider: 'sancor',
+      url: `${server.url}/login.html`,
+      userInformation: { username: 'demo', password: 'secret' }
+    });
+
+    expect(invoice.facturaId).toBe('A-0003-00012345');
+    expect(emptyModel.calls).toHaveLength(0);
+  }, 90000);
+
+  test('downloads the invoice PDF', async () => {
+    setModelFactory(createFakeModelFactory(loginScript()));
+
+    const { data: invoice } = await invoiceAgent({
+      provider: 'sancor',
+      url: `${server.url}/login.html`,
+      dowloadFile: true,
+      userInformation: { username: 'demo', password: 'secret' },
+      outputDir: path.join(tempDir, 'downloads'),
+      fileNameTemplate: '{provider}-{facturaId}{ext}'
+    });
+
+    const pdfPath = path.join(tempDir, 'downloads', 'sancor-A-0003-00012345.pdf');
+    expect(invoice.artifact).toMatchObject({ path: pdfPath, mimeType: 'application/pdf', temporary: false });
+    expect(invoice.artifact.size).toBe(fs.statSync(pdfPath).size);
+    expect(invoice.artifact.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(fs.readFileSync(pdfPath, 'latin1')).toMatch(/^%PDF-/);
+
+    // The PDF agrees with the table
+    expect(invoice.pdf).toMatchObject({ cuit: '30-50004946-0', total: 152340.5, cae: '75412345678901' });
+    expect(invoice.mismatches).toEqual([]);
+
+    // The history keeps its own copy of the PDF
+    const [entry] = getHistory('demo', { provider: 'sancor' });
+    expect(entry).toMatchObject({ facturaId: 'A-0003-00012345', amount: 152340.5, expirationDate: '2025-10-10' });
+    expect(fs.readFileSync(entry.pdfPath, 'latin1')).toMatch(/^%PDF-/);
+  }, 60000);
+
+  test('reports rejected credentials as AuthFailedError', async () => {
+    setModelFactory(createFakeModelFactory(loginScript()));
+
+    const result = await invoiceAgent({
+      provider: 'sancor',
+      url: `${server.url}/login-rejected.html`,
+      userInformation: { username: 'rejected', password: 'wrong' }
+    });
+
+    expect(result).toMatchObject({ ok: false, data: null, error: { type: 'AuthFailedError' } });
+    expect(result.steps.map(step => `${step.name}:${step.status}`)).toEqual([
+      'openPage:ok', 'fillUsername:ok', 'fillPassword:ok', 'clickLogin:failed'
+    ]);
+  }, 60000);
+
+  test('asks the LLM again when the login button it picked does not log in', async () => {
+    const retryPrompts = [];
+    setModelFactory(createFakeModelFactory({
+      ...loginScript(),
+      buttonAnalyzer: [{ buttonText: 'Ayuda' }, (prompt) => {
+        retryPrompts.push(prompt);
+        return { buttonText: 'Ingresar' };
+      }, { buttonText: 'Mis facturas' }]
+    }));
+
+    const result = await invoiceAgent({
+      provider: 'sancor',
+      url: `${server.url}/login.html`,
+      userInformation: { username: 'other', password: 'secret' },
+      persistSession: false,
+      stepTimeoutMs: 2000
+    });
+
+    expect(result.ok).toBe(true);
+    expect(retryPrompts[0]).toContain('"Ayuda"');
+    expect(result.steps.find(step => step.name === 'clickLogin')).toMatchObject({
+      status: 'ok',
+      attempts: 2,
+      failures: [{ candidate: 'Ayuda', error: expect.stringMatching(/No logged-in page showed up/) }]
+    });
+  }, 60000);
+
+  test('asks the LLM again, with the failed pick, when a link does not lead to the invoices', async () => {
+    const retryPrompts = [];
+    setModelFactory(createFakeModelFactory({
+      ...loginScript(),
+      buttonAnalyzer: [{ buttonText: 'Ingresar' }, { buttonText: 'Salir' }, (prompt) => {
+        retryPrompts.push(prompt);
+        return { buttonText: 'Mis facturas' };
+      }]
+    }));
+
+    const result = await invoiceAgent({
+      provider: 'sancor',
+      url: `${server.url}/login.html`,
+      userInformation: { username: 'demo', password: 'secret' },
+      stepTimeoutMs: 2000
+    });
+
+    expect(result.ok).toBe(true);
+    expect(result.data.facturaId).toBe('A-0003-00012345');
+    expect(retryPrompts[0]).toContain('"Salir"');
+    expect(result.steps.find(step => step.name === 'openInvoices')).toMatchObject({
+      status: 'ok',
+      attempts: 2,
+      failures: [{ candidate: 'Salir' }]
+    });
+  }, 60000);
+
+  describe('stored sessions', () => {
+    // checkPage is what the site shows a restored session: the dashboard (with its
+    // "Salir" link, the logged-in marker) or the login form when it was rejected
+    const writeSessionProfile = (checkPage) => fs.writeFileSync(path.join(providersDir, 'fixture.json'), JSON.stringify({
+      ...sancorProfile,
+      id: 'fixture',
+      loginUrl: `${server.url}/login.html`,
+      session: { checkUrl: `${server.url}/${checkPage}`, loggedInSelector: 'a:has-text("Salir")' }
+    }));
+    const credentials = { username: 'demo', password: 'secret' };
+    const run = (overrides = {}) => {
+      setModelFactory(createFakeModelFactory(loginScript()));
+      return invoiceAgent({ provider: 'fixture', credentialsOwner: 'owner-1', userInformation: credentials, ...overrides });
+    };
+    const stepNames = result => result.steps.map(step => `${step.name}:${step.status}`);
+
+    test('skips the login with the session of the same owner and credentials', async () => {
+      writeSessionProfile('dashboard.html');
+      expect((await run()).ok).toBe(true);
+      expect(fs.existsSync(getSessionPath('fixture', { owner: 'owner-1', ...credentials }))).toBe(true);
+
+      const result = await run();
+
+      expect(result.ok).toBe(true);
+      expect(stepNames(result).slice(0, 3)).toEqual(['openPage:ok', 'login:skipped', 'openInvoices:ok']);
+      expect(result.data.facturaId).toBe('A-0003-00012345');
+    }, 90000);
+
+    test('restores a Sancor session when the site opens logged in', async () => {
+      const sancorRun = (pageName) => {
+        setModelFactory(createFakeModelFactory(loginScript()));
+        return invoiceAgent({ provider: 'sancor', url: `${server.url}/${pageName}`, credentialsOwner: 'owner-1', userInformation: credentials });
+      };
+      expect((await sancorRun('login.html')).ok).toBe(true);
+
+      // A logged-in visitor lands on the dashboard, with its "Salir" link
+      const restored = await sancorRun('dashboard.html');
+      // The fixture login page does not redirect, so there the session cannot be confirmed
+      const unconfirmed = await sancorRun('login.html');
+
+      expect(restored.ok).toBe(true);
+      expect(stepNames(restored).slice(0, 3)).toEqual(['openPage:ok', 'login:skipped', 'openInvoices:ok']);
+      expect(stepNames(unconfirmed)).toContain('clickLogin:ok');
+    }, 120000);
+
+    test('logs in again for another owner or another password', async () => {
+      writeSessionProfile('dashboard.html');
+      expect((await run()).ok).toBe(true);
+
+      const otherOwner = await run({ credentialsOwner: 'owner-2' });
+      const otherPassword = await run({ userInformation: { username: 'demo', password: 'guess' } });
+
+      expect(stepNames(otherOwner)).toContain('fillPassword:ok');
+      expect(stepNames(otherPassword)).toContain('fillPassword:ok');
+    }, 120000);
+
+    test('logs in again and replaces a session the site no longer accepts', async () => {
+      writeSessionProfile('dashboard.html');
+      expect((await run()).ok).toBe(true);
+      const sessionPath = getSessionPath('fixture', { owner: 'owner-1', ...credentials });
+      const staleTime = new Date('2020-01-01T00:00:00Z');
+      fs.utimesSync(sessionPath, staleTime, staleTime);
+
+      writeSessionProfile('login.html');
+      const result = await run();
+
+      expect(result.ok).toBe(true);
+      expect(stepNames(result).slice(0, 4)).toEqual(['openPage:ok', 'fillUsername:ok', 'fillPassword:ok', 'clickLogin:ok']);
+      expect(fs.statSync(sessionPath).mtimeMs).toBeGreaterThan(staleTime.getTime());
+    }, 90000);
+  });
+});
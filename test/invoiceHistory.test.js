@@ -0,0 +1,78 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'invoice-history-'));
+process.env.HISTORY_DIR = tempDir;
+
+const { recordInvoices, getHistory, exportHistory, summarizeSpending, detectTrends } = await import('../tools/invoiceHistory.js');
+
+const invoice = (facturaId, issueDate, amount, status = 'paid') =>
+  ({ facturaId, issueDate, expirationDate: null, amount, currency: 'ARS', status });
+
+describe('invoice history', () => {
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('records invoices per owner and provider and archives PDFs', () => {
+    const pdfPath = path.join(tempDir, 'A-3.pdf');
+    fs.writeFileSync(pdfPath, '%PDF-1.4');
+
+    recordInvoices(42, 'sancor', [invoice('A-1', '2025-08-05', 100), invoice('A-2', '2025-09-05', 100)]);
+    const [recorded] = recordInvoices(42, 'sancor', [invoice('A-3', '2025-10-05', 118, 'unpaid')], { pdfPaths: { 'A-3': pdfPath } });
+    recordInvoices(42, 'camuzzi', [invoice('C-1', '2025-10-01', 50)]);
+    recordInvoices(7, 'sancor', [invoice('Z-1', '2025-10-01', 999)]);
+
+    expect(fs.readFileSync(recorded.pdfPath, 'utf-8')).toBe('%PDF-1.4');
+    expect(fs.existsSync(pdfPath)).toBe(true);
+    expect(getHistory(42).map(entry => entry.facturaId)).toEqual(['A-3', 'C-1', 'A-2', 'A-1']);
+    expect(getHistory(42, { provider: 'sancor', since: '2025-09-01' }).map(entry => entry.facturaId)).toEqual(['A-3', 'A-2']);
+  });
+
+  test('keeps the first time an invoice was seen and its archived PDF', () => {
+    const [before] = getHistory(42, { provider: 'sancor' });
+    const [updated] = recordInvoices(42, 'sancor', [{ ...invoice('A-3', '2025-10-05', 118), status: 'paid' }]);
+
+    expect(updated.firstSeenAt).toBe(before.firstSeenAt);
+    expect(updated.pdfPath).toBe(before.pdfPath);
+    expect(updated.status).toBe('paid');
+  });
+
+  test('exports CSV and JSON', () => {
+    const entries = [{ provider: 'sancor', ...invoice('A,"1"', '2025-10-05', 10) }];
+    const [header, row] = exportHistory(entries, 'csv').split('\n');
+
+    expect(header).toBe('provider,facturaId,issueDate,expirationDate,amount,currency,status,pdfPath,firstSeenAt,updatedAt');
+    expect(row).toBe('sancor,"A,""1""",2025-10-05,,10,ARS,paid,,,');
+    expect(JSON.parse(exportHistory(entries, 'json'))).toEqual(entries);
+    expect(() => exportHistory(entries, 'xml')).toThrow(/Unknown export format/);
+  });
+
+  test('summarizes spending and detects trends', () => {
+    const entries = getHistory(42);
+
+    expect(summarizeSpending(entries, { period: 'year' })).toEqual([
+      { period: '2025', provider: 'camuzzi', currency: 'ARS', total: 50, count: 1 },
+      { period: '2025', provider: 'sancor', currency: 'ARS', total: 318, count: 3 }
+    ]);
+    expect(summarizeSpending(entries).map(total => total.period)).toEqual(['2025-08', '2025-09', '2025-10', '2025-10']);
+    expect(detectTrends(entries)).toEqual([{
+      provider: 'sancor',
+      facturaId: 'A-3',
+      amount: 118,
+      previousAmount: 100,
+      changePercent: 18,
+      message: 'sancor invoice A-3 is 18% higher than last month'
+    }]);
+  });
+
+  test('refuses to overwrite a history file it cannot read', () => {
+    const historyPath = path.join(tempDir, 'invoices.json');
+    fs.writeFileSync(historyPath, '{ "42": { "sancor": ');
+
+    expect(() => recordInvoices(42, 'sancor', [invoice('A-4', '2025-11-05', 120)])).toThrow(/could not be read/);
+    expect(() => getHistory(42)).toThrow(/could not be read/);
+    expect(fs.readFileSync(historyPath, 'utf-8')).toBe('{ "42": { "sancor": ');
+  });
+});
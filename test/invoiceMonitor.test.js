@@ -0,0 +1,37 @@
+import { daysUntil, checkInvoices } from '../tools/invoiceMonitor.js';
+
+const now = new Date(2025, 9, 7, 9, 0);
+const invoice = (facturaId, expirationDate, status = 'unpaid') =>
+  ({ facturaId, expirationDate, status, amount: 100, currency: 'ARS' });
+
+describe('daysUntil', () => {
+  test('counts whole local days', () => {
+    expect(daysUntil('2025-10-10', now)).toBe(3);
+    expect(daysUntil('2025-10-07', now)).toBe(0);
+    expect(daysUntil('2025-10-01', now)).toBe(-6);
+    expect(daysUntil(null, now)).toBeNull();
+  });
+});
+
+describe('checkInvoices', () => {
+  test('the first check only records invoices and reminds about due ones', () => {
+    const result = checkInvoices({ reminderDays: 3 }, [invoice('A-2', '2025-10-09'), invoice('A-1', '2025-09-09', 'paid')], { now });
+
+    expect(result.notifications).toEqual([{ type: 'reminder', invoice: invoice('A-2', '2025-10-09'), daysLeft: 2 }]);
+    expect(result.seenInvoiceIds).toEqual(['A-2', 'A-1']);
+    expect(result.remindedInvoiceIds).toEqual(['A-2']);
+  });
+
+  test('alerts about new invoices and reminds only once', () => {
+    const subscription = { reminderDays: 3, seenInvoiceIds: ['A-2', 'A-1'], remindedInvoiceIds: ['A-2'] };
+    const result = checkInvoices(subscription, [invoice('A-3', '2025-10-20'), invoice('A-2', '2025-10-09')], { now });
+
+    expect(result.notifications).toEqual([{ type: 'new', invoice: invoice('A-3', '2025-10-20'), daysLeft: 13 }]);
+    expect(result.seenInvoiceIds).toEqual(['A-3', 'A-2', 'A-1']);
+  });
+
+  test('does not remind about paid or overdue invoices', () => {
+    const result = checkInvoices({ reminderDays: 5, seenInvoiceIds: [] }, [invoice('B-1', '2025-10-08', 'paid'), invoice('B-2', '2025-10-01')], { now });
+    expect(result.notifications.map(notification => notification.type)).toEqual(['new', 'new']);
+  });
+});
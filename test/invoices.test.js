@@ -0,0 +1,64 @@
+import { normalizeAmount, normalizeDate, normalizeStatus, filterInvoices, extractInvoiceRows } from '../tools/invoices.js';
+
+describe('invoice normalization', () => {
+  test.each([
+    ['$ 152.340,50', 152340.5],
+    ['12,345.67', 12345.67],
+    ['1.234', 1234],
+    ['', null]
+  ])('normalizeAmount(%p) -> %p', (value, expected) => {
+    expect(normalizeAmount(value)).toBe(expected);
+  });
+
+  test('normalizeDate accepts dd/mm/yyyy and ISO dates', () => {
+    expect(normalizeDate('5/3/2025')).toBe('2025-03-05');
+    expect(normalizeDate('2025-03-05T10:00:00Z')).toBe('2025-03-05');
+    expect(normalizeDate('marzo')).toBeNull();
+  });
+
+  test('normalizeStatus does not confuse "impaga" or negated wording with paid', () => {
+    expect(normalizeStatus('Impaga')).toBe('unpaid');
+    expect(normalizeStatus('IMPAGA')).toBe('unpaid');
+    expect(normalizeStatus('No pagada')).toBe('unpaid');
+    expect(normalizeStatus('No abonada')).toBe('unpaid');
+    expect(normalizeStatus('Sin pagar')).toBe('unpaid');
+    expect(normalizeStatus('No está pagada')).toBe('unpaid');
+    expect(normalizeStatus('Not paid')).toBe('unpaid');
+    expect(normalizeStatus('Pagada')).toBe('paid');
+    expect(normalizeStatus('Abonada')).toBe('paid');
+    expect(normalizeStatus('')).toBe('unknown');
+  });
+
+  test('filterInvoices applies onlyUnpaid, since and limit', () => {
+    const invoices = [
+      { facturaId: '3', expirationDate: '2025-10-10', status: 'unpaid' },
+      { facturaId: '2', expirationDate: '2025-09-10', status: 'unknown' },
+      { facturaId: '1', expirationDate: '2025-08-10', status: 'paid' }
+    ];
+
+    expect(filterInvoices(invoices, { onlyUnpaid: true }).map(i => i.facturaId)).toEqual(['3', '2']);
+    expect(filterInvoices(invoices, { since: '01/09/2025' }).map(i => i.facturaId)).toEqual(['3', '2']);
+    expect(filterInvoices(invoices, { limit: 1 }).map(i => i.facturaId)).toEqual(['3']);
+  });
+});
+
+describe('extractInvoiceRows', () => {
+  const columns = { facturaId: 'Factura', expirationDate: 'Vencimiento', amount: 'Importe', status: 'Estado' };
+
+  test('picks the columns by header name', () => {
+    const table = {
+      headers: ['Factura', 'Vencimiento', 'Importe ($)'],
+      rows: [{ 'Factura': 'A-1', 'Vencimiento': '10/10/2025', 'Importe ($)': '100' }]
+    };
+
+    expect(extractInvoiceRows([table], columns)).toEqual([
+      { facturaId: 'A-1', expirationDate: '10/10/2025', amount: '100' }
+    ]);
+  });
+
+  test('returns null when the headers are ambiguous', () => {
+    const table = { headers: ['Factura', 'Vencimiento', 'Importe neto', 'Importe total'], rows: [] };
+
+    expect(extractInvoiceRows([table], columns)).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+import { createJobQueue } from '../tools/jobQueue.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('createJobQueue', () => {
+  test('runs at most `concurrency` jobs and reports queue positions', async () => {
+    const queue = createJobQueue({ concurrency: 1 });
+    const order = [];
+
+    const first = queue.enqueue(async () => { await delay(20); order.push('first'); return 1; });
+    const second = queue.enqueue(async () => { order.push('second'); return 2; });
+
+    expect(first.position).toBe(0);
+    expect(second.position).toBe(1);
+    expect(queue.stats()).toEqual({ concurrency: 1, running: 1, queued: 1 });
+
+    await expect(Promise.all([first.promise, second.promise])).resolves.toEqual([1, 2]);
+    expect(order).toEqual(['first', 'second']);
+  });
+
+  test('rejects jobs that exceed their timeout and aborts their signal', async () => {
+    const queue = createJobQueue({ concurrency: 1, timeoutMs: 10 });
+    let signal;
+
+    const job = queue.enqueue(async (jobSignal) => { signal = jobSignal; await delay(200); });
+
+    await expect(job.promise).rejects.toMatchObject({ name: 'TimeoutError' });
+    expect(signal.aborted).toBe(true);
+  });
+
+  test('cancels queued and running jobs', async () => {
+    const queue = createJobQueue({ concurrency: 1 });
+
+    const running = queue.enqueue(() => delay(200));
+    const queued = queue.enqueue(() => delay(10));
+
+    expect(queue.cancel(queued.id)).toBe(true);
+    expect(queue.cancel(running.id)).toBe(true);
+    expect(queue.cancel('missing')).toBe(false);
+
+    await expect(queued.promise).rejects.toMatchObject({ name: 'CancelledError' });
+    await expect(running.promise).rejects.toMatchObject({ name: 'CancelledError' });
+    expect(queued.signal.aborted).toBe(true);
+    expect(running.signal.aborted).toBe(true);
+    expect(queue.list()).toEqual([]);
+  });
+
+  test('leaves the signal alone when the job fails by itself', async () => {
+    const queue = createJobQueue({ concurrency: 1, timeoutMs: 200 });
+    const timeout = Object.assign(new Error('page.goto: Timeout 30000ms exceeded'), { name: 'TimeoutError' });
+
+    const job = queue.enqueue(async () => { throw timeout; });
+
+    await expect(job.promise).rejects.toBe(timeout);
+    expect(job.signal.aborted).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-config-'));
+const configPath = path.join(tempDir, 'llm.config.json');
+const ENV_KEYS = ['LLM_PROVIDER', 'LLM_MODEL', 'LLM_TEMPERATURE', 'LLM_BASE_URL', 'LLM_API_KEY', 'LLM_FAKE_SCRIPT'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+// LLM_CONFIG_PATH is read on import, so set it before loading the module
+process.env.LLM_CONFIG_PATH = configPath;
+
+const { resolveModelConfig } = await import('../llm/index.js');
+
+describe('LLM config', () => {
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    fs.rmSync(configPath, { force: true });
+  });
+
+  afterAll(() => {
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('uses the defaults without a config file or env vars', () => {
+    expect(resolveModelConfig('tableAnalyzer')).toEqual({
+      provider: 'groq',
+      model: 'llama-3.1-8b-instant',
+      temperature: 0
+    });
+  });
+
+  test('merges defaults < llm.config.json < LLM_* env < per-agent overrides', () => {
+    fs.writeFileSync(configPath, JSON.stringify({
+      provider: 'ollama',
+      model: 'llama3.1:8b',
+      baseUrl: 'http://ollama.test:11434/v1',
+      agents: {
+        tableAnalyzer: { model: 'llama3.1:70b', temperature: 0.2 }
+      }
+    }));
+    process.env.LLM_MODEL = 'qwen2.5:14b';
+    process.env.LLM_TEMPERATURE = '0.7';
+    process.env.LLM_API_KEY = 'env-key';
+
+    expect(resolveModelConfig('tableAnalyzer')).toEqual({
+      provider: 'ollama',
+      model: 'llama3.1:70b',
+      temperature: 0.2,
+      baseUrl: 'http://ollama.test:11434/v1',
+      apiKey: 'env-key'
+    });
+    // Agents without overrides get the env vars over the file
+    expect(resolveModelConfig('pdfInvoiceAnalyzer')).toEqual({
+      provider: 'ollama',
+      model: 'qwen2.5:14b',
+      temperature: 0.7,
+      baseUrl: 'http://ollama.test:11434/v1',
+      apiKey: 'env-key'
+    });
+  });
+});
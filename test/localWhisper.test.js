@@ -0,0 +1,82 @@
+import fs from 'fs';
+import path from 'path';
+import { createFakeBinaries } from './helpers/fakeBinaries.js';
+
+const binaries = createFakeBinaries('local-whisper-');
+const tempDir = binaries.dir;
+
+// Stand-in for whisper-cli that writes the JSON whisper-cli -oj produces
+const fakeWhisper = binaries.write('whisper-cli', `while [ $# -gt 0 ]; do
+  if [ "$1" = "-of" ]; then out="$2"; fi
+  shift
+done
+cat > "$out.json" <<'JSON'
+{"result":{"language":"es"},"transcription":[
+  {"offsets":{"from":0,"to":1500},"text":" Hola a todos."},
+  {"offsets":{"from":1500,"to":1600},"text":" "},
+  {"offsets":{"from":1600,"to":4250},"text":" Empecemos la reunión."}
+]}
+JSON
+`);
+
+// Module level settings are read on import, so set them before loading it
+process.env.WHISPER_CPP_PATH = fakeWhisper;
+process.env.FFMPEG_PATH = binaries.ffmpeg();
+process.env.WHISPER_MODELS_DIR = path.join(tempDir, 'models');
+
+const {
+  getWhisperModelPath,
+  buildWhisperArgs,
+  parseWhisperOutput,
+  transcribeWithWhisperCpp
+} = await import('../tools/localWhisper.js');
+
+describe('local whisper backend', () => {
+  const audioFile = path.join(tempDir, 'meeting.ogg');
+
+  beforeAll(() => {
+    fs.writeFileSync(audioFile, 'fake audio');
+    fs.mkdirSync(path.join(tempDir, 'models'));
+    fs.writeFileSync(getWhisperModelPath('tiny'), 'fake model');
+  });
+
+  afterAll(() => {
+    binaries.cleanup();
+  });
+
+  test('builds the whisper-cli arguments', () => {
+    expect(buildWhisperArgs({ modelPath: '/m/ggml-base.bin', wavPath: '/w/audio.wav', outputBase: '/w/out', language: 'es', threads: 2 }))
+      .toEqual(['-m', '/m/ggml-base.bin', '-f', '/w/audio.wav', '-l', 'es', '-t', '2', '-oj', '-of', '/w/out', '-np']);
+    expect(() => getWhisperModelPath('huge')).toThrow(/Unknown whisper model size "huge"/);
+  });
+
+  test('turns whisper.cpp offsets into segments in seconds', () => {
+    const result = parseWhisperOutput({
+      result: { language: 'en' },
+      transcription: [{ offsets: { from: 250, to: 2000 }, text: ' Hello there.' }]
+    });
+
+    expect(result).toEqual({
+      text: 'Hello there.',
+      segments: [{ id: 0, start: 0.25, end: 2, text: 'Hello there.' }],
+      language: 'en'
+    });
+  });
+
+  test('runs ffmpeg and whisper-cli with the chosen model, language and threads', async () => {
+    const result = await transcribeWithWhisperCpp(audioFile, { modelSize: 'tiny', language: 'es', threads: 3 });
+
+    expect(result.text).toBe('Hola a todos. Empecemos la reunión.');
+    expect(result.segments).toEqual([
+      { id: 0, start: 0, end: 1.5, text: 'Hola a todos.' },
+      { id: 1, start: 1.6, end: 4.25, text: 'Empecemos la reunión.' }
+    ]);
+    expect(result.language).toBe('es');
+    expect(fs.readFileSync(binaries.argsLog, 'utf-8')).toMatch(/-m \S+ggml-tiny\.bin .*-l es -t 3 -oj/);
+  });
+
+  test('fails with a clear message when the model is missing', async () => {
+    await expect(transcribeWithWhisperCpp(audioFile, { modelSize: 'small' }))
+      .rejects.toThrow(/Whisper model not found at .*ggml-small\.bin/);
+  });
+});
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { normalizeMinutes, exportMinutes } from '../tools/meetingMinutes.js';
+import { minutesAgent } from '../agents/meetingMinutesAgent.js';
+import { createFakeModelFactory, setModelFactory } from '../llm/index.js';
+
+const extracted = {
+  title: ' Budget review ',
+  attendees: ['Ana', 'Luis', 'Ana', ' '],
+  decisions: ['Move the launch to March'],
+  actionItems: [
+    { task: 'Send the hosting numbers', owner: 'Luis', dueDate: '24/10/2026' },
+    { task: 'Book a room', owner: '', dueDate: null },
+    { task: ' ', owner: 'Ana', dueDate: null }
+  ],
+  openQuestions: ['Do we renew the CDN contract?'],
+  nextMeeting: '2026-10-25'
+};
+
+describe('meeting minutes', () => {
+  afterEach(() => {
+    setModelFactory(null);
+  });
+
+  test('cleans up the model answer and normalizes the dates', () => {
+    expect(normalizeMinutes(extracted, { meetingDate: '2026-10-18' })).toEqual({
+      title: 'Budget review',
+      meetingDate: '2026-10-18',
+      attendees: ['Ana', 'Luis'],
+      decisions: ['Move the launch to March'],
+      actionItems: [
+        { task: 'Send the hosting numbers', owner: 'Luis', dueDate: '2026-10-24' },
+        { task: 'Book a room', owner: null, dueDate: null }
+      ],
+      openQuestions: ['Do we renew the CDN contract?'],
+      nextMeeting: '2026-10-25'
+    });
+  });
+
+  test('exports Markdown and JSON', () => {
+    const minutes = normalizeMinutes({ ...extracted, openQuestions: [], nextMeeting: null }, { meetingDate: '2026-10-18' });
+
+    expect(exportMinutes(minutes, 'markdown')).toBe([
+      '# Budget review',
+      '**Date:** 2026-10-18',
+      '## Attendees\n- Ana\n- Luis',
+      '## Decisions\n- Move the launch to March',
+      '## Action items\n- [ ] Send the hosting numbers (owner: Luis, due: 2026-10-24)\n- [ ] Book a room (owner: unassigned)',
+      '## Open questions\n_None_',
+      '## Next meeting\n_Not scheduled_'
+    ].join('\n\n') + '\n');
+    expect(JSON.parse(exportMinutes(minutes, 'json'))).toEqual(minutes);
+    expect(() => exportMinutes(minutes, 'pdf')).toThrow(/Unknown minutes format: pdf/);
+  });
+
+  test('minutesAgent extracts the minutes with the speakers and saves them', async () => {
+    const fakeModel = createFakeModelFactory({ meetingMinutes: [extracted] });
+    setModelFactory(fakeModel);
+    const outputPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'minutes-')), 'minutes.md');
+
+    try {
+      const result = await minutesAgent({
+        transcription: 'Ana: Let us move the launch to March.\n\nLuis: I will send the hosting numbers by Friday.',
+        speakers: ['Ana', 'Luis'],
+        meetingDate: '2026-10-18',
+        outputFormat: 'markdown',
+        outputPath
+      });
+
+      expect(result.ok).toBe(true);
+      expect(result.data.minutes.actionItems[0]).toEqual({ task: 'Send the hosting numbers', owner: 'Luis', dueDate: '2026-10-24' });
+      expect(result.steps.map(step => `${step.name}:${step.status}`)).toEqual(['extract:ok', 'save:ok']);
+      expect(fs.readFileSync(outputPath, 'utf-8')).toMatch(/^# Budget review\n/);
+      expect(fakeModel.calls[0].prompt).toMatch(/took place on 2026-10-18/);
+      expect(fakeModel.calls[0].prompt).toMatch(/speaker \(Ana, Luis\)/);
+    } finally {
+      fs.rmSync(path.dirname(outputPath), { recursive: true, force: true });
+    }
+  });
+
+  test('minutesAgent returns an error envelope for an empty transcription', async () => {
+    const result = await minutesAgent({ transcription: '  ' });
+
+    expect(result).toMatchObject({ ok: false, data: null, error: { type: 'UnknownError' } });
+    expect(result.error.message).toMatch(/no transcription/);
+  });
+});
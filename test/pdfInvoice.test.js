@@ -0,0 +1,50 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractPdfText, parseInvoiceText, crossCheckInvoice } from '../tools/pdfInvoice.js';
+
+const pdfPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sancor', 'files', 'A-0003-00012345.pdf');
+
+const fixtureDetails = {
+  issuer: 'Sancor Salud',
+  cuit: '30-50004946-0',
+  period: '2025-09',
+  lineItems: [{ description: 'Cuota plan 3000', amount: 125900.41 }],
+  taxes: [{ name: 'IVA 21%', amount: 26440.09 }],
+  total: 152340.5,
+  expirationDate: '2025-10-10',
+  cae: '75412345678901'
+};
+
+describe('extractPdfText', () => {
+  test('returns one line per text row', async () => {
+    const text = await extractPdfText(pdfPath);
+    expect(text.split('\n')).toContain('Total $ 152.340,50');
+  });
+});
+
+describe('parseInvoiceText', () => {
+  test('reads the invoice fields of the fixture PDF', async () => {
+    expect(parseInvoiceText(await extractPdfText(pdfPath))).toEqual(fixtureDetails);
+  });
+
+  test('returns null without a total so the LLM can take over', () => {
+    expect(parseInvoiceText('Factura\nCuota $ 100,00')).toBeNull();
+  });
+});
+
+describe('crossCheckInvoice', () => {
+  test('accepts table values that match the PDF', () => {
+    expect(crossCheckInvoice({ amount: '$ 152.340,50', expirationDate: '10/10/2025' }, fixtureDetails)).toEqual([]);
+  });
+
+  test('flags amounts, due dates and totals that do not match', () => {
+    const details = { ...fixtureDetails, lineItems: [{ description: 'Cuota', amount: 100 }] };
+    const mismatches = crossCheckInvoice({ amount: '152.000,00', expirationDate: '2025-10-11' }, details);
+
+    expect(mismatches.map(({ field, expected, actual }) => ({ field, expected, actual }))).toEqual([
+      { field: 'amount', expected: 152340.5, actual: 152000 },
+      { field: 'expirationDate', expected: '2025-10-10', actual: '2025-10-11' },
+      { field: 'lineItems', expected: 152340.5, actual: 26540.09 }
+    ]);
+  });
+});
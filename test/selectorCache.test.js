@@ -0,0 +1,110 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'selector-cache-'));
+const cachePath = path.join(tempDir, 'cache', 'selectors.json');
+
+// SELECTOR_CACHE_PATH is read on import, so set it before loading the module
+process.env.SELECTOR_CACHE_PATH = cachePath;
+
+const {
+  readSelectorCache,
+  getSiteKey,
+  getCachedSelector,
+  recordSelectors,
+  replayOrAsk,
+  resetSelectorCache
+} = await import('../tools/selectorCache.js');
+
+describe('selector cache', () => {
+  beforeEach(() => {
+    fs.rmSync(path.dirname(cachePath), { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('keys sites by hostname', () => {
+    expect(getSiteKey('https://www.sancorsalud.com.ar/login?next=/facturas')).toBe('www.sancorsalud.com.ar');
+    expect(getSiteKey('not a url')).toBe('not a url');
+  });
+
+  test('records the selectors of a run and skips the steps without one', () => {
+    recordSelectors('site.test', { usernameInput: '#user', passwordInput: null, submitButton: '' });
+
+    expect(getCachedSelector('site.test', 'usernameInput')).toBe('#user');
+    expect(getCachedSelector('site.test', 'passwordInput')).toBeNull();
+    expect(Object.keys(readSelectorCache()['site.test'])).toEqual(['usernameInput']);
+    expect(getCachedSelector('other.test', 'usernameInput')).toBeNull();
+  });
+
+  test('replays a cached selector while it exists and asks again once it is gone', async () => {
+    recordSelectors('site.test', { usernameInput: '#user' });
+    const checked = [];
+    const logged = [];
+    let asked = 0;
+    const ask = async () => { asked += 1; return '#login-user'; };
+    const log = message => logged.push(message);
+
+    await expect(replayOrAsk({ site: 'site.test', step: 'usernameInput', exists: async () => true, ask, log }))
+      .resolves.toBe('#user');
+    expect(asked).toBe(0);
+
+    const exists = async selector => { checked.push(selector); return false; };
+    await expect(replayOrAsk({ site: 'site.test', step: 'usernameInput', exists, ask, log }))
+      .resolves.toBe('#login-user');
+    expect(checked).toEqual(['#user']);
+    expect(asked).toBe(1);
+    expect(logged.at(-1)).toBe('Cached usernameInput "#user" no longer exists, asking the LLM');
+
+    // The next successful run replaces the stale entry
+    recordSelectors('site.test', { usernameInput: '#login-user' });
+    expect(getCachedSelector('site.test', 'usernameInput')).toBe('#login-user');
+  });
+
+  test('asks without checking the page when nothing is cached', async () => {
+    let checked = false;
+    const exists = async () => { checked = true; return true; };
+
+    await expect(replayOrAsk({ site: 'site.test', step: 'usernameInput', exists, ask: async () => '#user' }))
+      .resolves.toBe('#user');
+    expect(checked).toBe(false);
+  });
+
+  test('resets one site or the whole cache', () => {
+    recordSelectors('a.test', { usernameInput: '#a' });
+    recordSelectors('b.test', { usernameInput: '#b' });
+
+    resetSelectorCache('a.test');
+    expect(getCachedSelector('a.test', 'usernameInput')).toBeNull();
+    expect(getCachedSelector('b.test', 'usernameInput')).toBe('#b');
+
+    resetSelectorCache();
+    expect(readSelectorCache()).toEqual({});
+  });
+
+  test('moves a corrupt cache file aside and starts over', () => {
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, '{ "site.test": { "usernameInput": ');
+    const consoleError = console.error;
+    const logged = [];
+    console.error = message => logged.push(message);
+
+    try {
+      expect(readSelectorCache()).toEqual({});
+    } finally {
+      console.error = consoleError;
+    }
+    expect(logged[0]).toMatch(/could not be read/);
+    const [corruptFile] = fs.readdirSync(path.dirname(cachePath)).filter(file => file.startsWith('selectors.json.corrupt-'));
+    expect(fs.readFileSync(path.join(path.dirname(cachePath), corruptFile), 'utf-8')).toBe('{ "site.test": { "usernameInput": ');
+    expect(getCachedSelector('site.test', 'usernameInput')).toBeNull();
+
+    recordSelectors('site.test', { usernameInput: '#user' });
+    expect(JSON.parse(fs.readFileSync(cachePath, 'utf-8'))).toEqual({
+      'site.test': { usernameInput: { value: '#user', recordedAt: expect.any(String) } }
+    });
+  });
+});
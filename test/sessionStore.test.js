@@ -0,0 +1,23 @@
+import path from 'path';
+import { SESSIONS_DIR, getSessionPath } from '../tools/sessionStore.js';
+
+describe('session store', () => {
+  const credentials = { owner: '12345', username: 'demo', password: 'secret' };
+
+  test('keeps one session per provider, owner and credentials', () => {
+    const sessionPath = getSessionPath('sancor', credentials);
+
+    expect(getSessionPath('sancor', { ...credentials })).toBe(sessionPath);
+    expect(path.dirname(sessionPath)).toBe(path.join(SESSIONS_DIR, 'sancor'));
+    expect(getSessionPath('camuzzi', credentials)).not.toBe(sessionPath);
+    expect(getSessionPath('sancor', { ...credentials, owner: '67890' })).not.toBe(sessionPath);
+    expect(getSessionPath('sancor', { ...credentials, password: 'guess' })).not.toBe(sessionPath);
+  });
+
+  test('does not leak the username or password in the file name', () => {
+    const fileName = path.basename(getSessionPath('sancor', credentials));
+
+    expect(fileName).toMatch(/^[0-9a-f]{48}\.json$/);
+    expect(fileName).not.toMatch(/demo|secret/);
+  });
+});
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStateStore } from '../tools/stateStore.js';
+import { createConversationManager } from '../telegram/conversations.js';
+
+describe('createStateStore', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-'));
+  const statePath = path.join(tempDir, 'bot-state.json');
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('file collections survive a new store and keep numeric keys', () => {
+    const store = createStateStore({ backend: 'file', path: statePath });
+    const sessions = store.collection('audioSessions');
+    sessions.set(123, { waitingForAudio: true });
+    sessions.set(456, { waitingForAudio: true });
+    sessions.delete(456);
+    store.collection('invoiceJobs').set('job-1', { status: 'queued' });
+
+    const reloaded = createStateStore({ backend: 'file', path: statePath });
+    expect(Array.from(reloaded.collection('audioSessions').entries())).toEqual([[123, { waitingForAudio: true }]]);
+
+    // Writing one collection keeps the ones that were not opened yet
+    reloaded.collection('audioSessions').clear();
+    expect(createStateStore({ backend: 'file', path: statePath }).collection('invoiceJobs').get('job-1')).toEqual({ status: 'queued' });
+  });
+
+  test('accepts custom backends and rejects unknown ones', () => {
+    const saved = [];
+    const store = createStateStore({ backend: { load: () => ({ jobs: [['a', 1]] }), save: state => saved.push(state) } });
+    store.collection('jobs').set('b', 2);
+
+    expect(store.backend).toBe('custom');
+    expect(saved.at(-1)).toEqual({ jobs: [['a', 1], ['b', 2]] });
+    expect(createStateStore().collection('jobs')).toBeInstanceOf(Map);
+    expect(() => createStateStore({ backend: 'sqlite' })).toThrow(/Unknown state backend: sqlite/);
+  });
+
+  test('conversations resume from the store without persisting secrets', async () => {
+    const conversationPath = path.join(tempDir, 'conversations.json');
+    const flow = {
+      name: 'login',
+      steps: [{ key: 'username', prompt: 'User?' }, { key: 'password', prompt: 'Password?', secret: true }, { key: 'remember', prompt: 'Remember?' }],
+      onComplete: async data => data
+    };
+
+    const before = createConversationManager({ sessions: createStateStore({ backend: 'file', path: conversationPath }).collection('conversations') });
+    before.defineFlow(flow);
+    await before.start(7, 'login', { username: 'juan' });
+    await before.answer(7, 's3cret');
+    expect(fs.readFileSync(conversationPath, 'utf-8')).not.toMatch(/s3cret/);
+
+    // After a restart the secret is asked again before the flow completes
+    const after = createConversationManager({ sessions: createStateStore({ backend: 'file', path: conversationPath }).collection('conversations') });
+    after.defineFlow(flow);
+    expect(after.has(7)).toBe(true);
+    await expect(after.answer(7, 'yes')).resolves.toEqual({ text: expect.stringMatching(/^Password\?/), options: undefined });
+    await expect(after.answer(7, 'again')).resolves.toEqual({ username: 'juan', remember: 'yes', password: 'again' });
+  });
+});
@@ -0,0 +1,114 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { chromium } from 'playwright';
+import { getInputIds, insertInputValue, getButtonElements, getTable, parseTableHTML } from '../tools/index.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+import { describeWithBrowser } from './helpers/browser.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sancor');
+
+describe('parseTableHTML', () => {
+  test('uses <th> rows as headers and expands colspan/rowspan', () => {
+    const table = parseTableHTML(`
+      <table>
+        <thead>
+          <tr><th rowspan="2">Factura</th><th colspan="2">Datos</th></tr>
+          <tr><th>Vencimiento</th><th>Importe</th></tr>
+        </thead>
+        <tbody>
+          <tr><td rowspan="2">A&amp;1</td><td>10/02/2025</td><td>$ 1.234,50</td></tr>
+          <tr><td>10/03/2025</td><td>$ 1.300,00</td></tr>
+        </tbody>
+      </table>`);
+
+    expect(table.headers).toEqual(['Factura', 'Datos Vencimiento', 'Datos Importe']);
+    expect(table.rows).toEqual([
+      { 'Factura': 'A&1', 'Datos Vencimiento': '10/02/2025', 'Datos Importe': '$ 1.234,50' },
+      { 'Factura': 'A&1', 'Datos Vencimiento': '10/03/2025', 'Datos Importe': '$ 1.300,00' }
+    ]);
+    expect(table.headerSource).toBe('th');
+  });
+
+  test('skips the content of nested tables', () => {
+    const table = parseTableHTML(
+      '<table><tr><th>Nombre</th></tr><tr><td>Juan<table><tr><td>interno</td></tr></table></td></tr></table>'
+    );
+
+    expect(table.rows).toEqual([{ Nombre: 'Juan' }]);
+  });
+
+  test('falls back to the first row when there are no <th> cells', () => {
+    const table = parseTableHTML('<table><tr><td>A</td><td>A</td></tr><tr><td>1</td><td>2</td></tr></table>');
+
+    expect(table.headers).toEqual(['A', 'A_2']);
+    expect(table.headerSource).toBe('first-row');
+  });
+});
+
+describe('tools failure cases', () => {
+  test('insertInputValue reports an error when the input is missing', async () => {
+    const page = { waitForSelector: async () => { throw new Error('Timeout 30000ms exceeded'); } };
+
+    const result = await insertInputValue({ page, inputId: 'usuario', value: 'demo' });
+
+    expect(result.status).toBe('error');
+    expect(result.message).toMatch(/Timeout/);
+  });
+
+  test('getInputIds returns an empty list when the page cannot be evaluated', async () => {
+    const page = { evaluate: async () => { throw new Error('Target closed'); } };
+
+    expect(await getInputIds({ page })).toEqual([]);
+  });
+
+  test('getButtonElements reports failure when the page cannot be evaluated', async () => {
+    const page = { evaluate: async () => { throw new Error('Target closed'); } };
+
+    const result = await getButtonElements({ page });
+
+    expect(result.success).toBe(false);
+    expect(result.buttons).toEqual([]);
+  });
+});
+
+describeWithBrowser('tools against fixture pages', () => {
+  let server;
+  let browser;
+  let page;
+
+  beforeAll(async () => {
+    server = await startFixtureServer(fixturesDir);
+    browser = await chromium.launch({ headless: true });
+    page = await browser.newPage();
+  });
+
+  afterAll(async () => {
+    await browser.close();
+    await server.close();
+  });
+
+  test('finds no inputs, buttons or tables on an empty page', async () => {
+    await page.goto(`${server.url}/empty.html`);
+
+    expect(await getInputIds({ page })).toEqual([]);
+    expect((await getButtonElements({ page })).buttons).toEqual([]);
+    expect((await getTable({ page })).tableElements).toEqual([]);
+  });
+
+  test('reads the login form', async () => {
+    await page.goto(`${server.url}/login.html`);
+
+    expect(await getInputIds({ page })).toEqual(['usuario', 'clave', 'recordarme']);
+    expect((await getButtonElements({ page })).buttons.map(button => button.text))
+      .toEqual(['Ingresar', 'Olvidé mi contraseña']);
+  });
+
+  test('fails to fill an input that does not exist', async () => {
+    await page.goto(`${server.url}/login.html`);
+    page.setDefaultTimeout(500);
+
+    const result = await insertInputValue({ page, inputId: 'documento', value: 'x' });
+
+    expect(result.status).toBe('error');
+  });
+});
@@ -0,0 +1,106 @@
+import { createTranscriptionRegistry, parsePolicy } from '../tools/transcriptionProviders.js';
+import { TranscriptionProviderError } from '../tools/errors.js';
+
+const MB = 1024 * 1024;
+
+// local (free, slow), groq (cheap, fast, 25MB), openai (dearer, 25MB, Spanish and English only)
+function createRegistry({ failing = [], configured = ['local', 'groq', 'openai'], clock = { now: 0 } } = {}) {
+  const calls = [];
+  const registry = createTranscriptionRegistry({ cooldownMs: 60000, now: () => clock.now });
+  const provider = (id, definition) => registry.register({
+    id,
+    isConfigured: () => configured.includes(id),
+    transcribe: async () => {
+      calls.push(id);
+      if (failing.includes(id)) throw new Error(`${id} is down`);
+      return { text: `from ${id}`, timestamps: null };
+    },
+    ...definition
+  });
+
+  provider('local', { local: true, costPerMinute: 0, speed: 1, capabilities: { timestamps: true } });
+  provider('groq', { costPerMinute: 0.002, speed: 150, capabilities: { timestamps: true, maxBytes: 25 * MB } });
+  provider('openai', { costPerMinute: 0.006, speed: 20, capabilities: { timestamps: false, maxBytes: 25 * MB, languages: ['es', 'en'] } });
+  return { registry, calls, clock };
+}
+
+const ids = selection => selection.providers.map(provider => provider.id);
+
+describe('transcription provider registry', () => {
+  test('orders providers by policy', () => {
+    const { registry } = createRegistry();
+
+    expect(ids(registry.select({ policy: 'default' }))).toEqual(['local', 'groq', 'openai']);
+    expect(ids(registry.select({ policy: 'cheapest' }))).toEqual(['local', 'groq', 'openai']);
+    expect(ids(registry.select({ policy: 'fastest' }))).toEqual(['groq', 'openai', 'local']);
+    expect(ids(registry.select({ policy: 'local-only' }))).toEqual(['local']);
+    expect(ids(registry.select({ policy: parsePolicy('openai,groq') }))).toEqual(['openai', 'groq']);
+    expect(() => registry.select({ policy: 'whisperx' })).toThrow('Unknown transcription provider: whisperx. Available: local, groq, openai');
+  });
+
+  test('leaves out providers that cannot take the request, with the reason', () => {
+    const { registry } = createRegistry({ configured: ['groq', 'openai'] });
+
+    expect(registry.select({ fileSize: 30 * MB })).toEqual({
+      providers: [],
+      skipped: [
+        { provider: 'local', reason: 'not configured' },
+        { provider: 'groq', reason: 'file is 30.0MB, limit is 25MB' },
+        { provider: 'openai', reason: 'file is 30.0MB, limit is 25MB' }
+      ]
+    });
+    expect(ids(registry.select({ language: 'fr' }))).toEqual(['groq']);
+    expect(registry.select({ language: 'en', includeTimestamps: true }).skipped)
+      .toEqual([{ provider: 'local', reason: 'not configured' }, { provider: 'openai', reason: 'no timestamps' }]);
+  });
+
+  test('falls back through the providers and records every attempt', async () => {
+    const { registry, calls } = createRegistry({ failing: ['local'], configured: ['local', 'groq'] });
+
+    const result = await registry.transcribe('meeting.mp3', { language: 'es' }, { fileSize: MB });
+
+    expect(calls).toEqual(['local', 'groq']);
+    expect(result).toMatchObject({ text: 'from groq', service: 'groq' });
+    expect(result.attempts).toEqual([
+      { provider: 'openai', status: 'skipped', reason: 'not configured' },
+      { provider: 'local', status: 'failed', durationMs: 0, error: 'local is down' },
+      { provider: 'groq', status: 'ok', durationMs: 0 }
+    ]);
+  });
+
+  test('throws with the attempts when every provider fails', async () => {
+    const { registry } = createRegistry({ failing: ['local', 'groq', 'openai'] });
+
+    const error = await registry.transcribe('meeting.mp3', {}, { policy: 'cheapest' }).catch(error => error);
+
+    expect(error).toBeInstanceOf(TranscriptionProviderError);
+    expect(error.message).toBe('Transcription failed: local: local is down; groq: groq is down; openai: openai is down');
+    expect(error.details.attempts.map(attempt => `${attempt.provider}:${attempt.status}`)).toEqual(['local:failed', 'groq:failed', 'openai:failed']);
+  });
+
+  test('skips a provider that failed recently until its cooldown ends', async () => {
+    const { registry, calls, clock } = createRegistry({ failing: ['local'] });
+
+    await registry.transcribe('first.mp3');
+    expect(calls).toEqual(['local', 'groq']);
+    expect(registry.stats().find(stats => stats.id === 'local')).toMatchObject({ coolingDown: true, consecutiveFailures: 1, lastError: 'local is down' });
+
+    clock.now = 30000;
+    await registry.transcribe('second.mp3');
+    expect(calls).toEqual(['local', 'groq', 'groq']);
+
+    clock.now = 61000;
+    await registry.transcribe('third.mp3');
+    expect(calls).toEqual(['local', 'groq', 'groq', 'local', 'groq']);
+  });
+
+  test('still tries providers in their cooldown when nothing else can take the file', async () => {
+    const { registry, calls } = createRegistry({ failing: ['local'] });
+    await registry.transcribe('first.mp3');
+
+    const result = await registry.transcribe('big.mp3', {}, { policy: 'local-only', fileSize: 40 * MB }).catch(error => error);
+
+    expect(calls).toEqual(['local', 'groq', 'local']);
+    expect(result.details.attempts).toEqual([{ provider: 'local', status: 'failed', durationMs: 0, error: 'local is down' }]);
+  });
+});
@@ -0,0 +1,83 @@
+import { toErrorInfo, ElementNotFoundError, AuthFailedError, TimeoutError, CancelledError } from './errors.js';
+
+// Failures that another candidate cannot fix
+const FINAL_ERRORS = [AuthFailedError, TimeoutError, CancelledError];
+
+// Every agent returns { ok, data, error, steps }: data on success, error as
+// { type, message, details } otherwise, and steps as a trace of what ran:
+// [{ name, status: 'ok' | 'failed' | 'skipped', durationMs, error?, reason?, attempts?, failures? }]
+// signal (optional AbortSignal) stops retries once the run is cancelled
+function createStepLog({ signal } = {}) {
+  const steps = [];
+
+  // Runs one step; a failure is recorded and thrown again
+  async function run(name, task) {
+    const startedAt = Date.now();
+    try {
+      const result = await task();
+      steps.push({ name, status: 'ok', durationMs: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      steps.push({ name, status: 'failed', durationMs: Date.now() - startedAt, error: error.message });
+      throw error;
+    }
+  }
+
+  // Runs one step with verification and retries. Each attempt picks a candidate
+  // (an element id, a button text...) knowing which ones failed before, acts on
+  // it and verifies the outcome. Failures are [{ candidate, error }], candidates
+  // shown with label(). Returns { candidate, result } of the attempt that worked;
+  // when every attempt fails (or pick has nothing left) it throws errorType.
+  async function retry(name, { attempts = 3, pick, act, verify = async () => {}, label = String, errorType = ElementNotFoundError }) {
+    const startedAt = Date.now();
+    const failures = [];
+    const record = (status, extra = {}) => steps.push({
+      name, status, durationMs: Date.now() - startedAt, attempts: failures.length + (status === 'ok' ? 1 : 0), ...(failures.length > 0 ? { failures } : {}), ...extra
+    });
+
+    try {
+      for (let attempt = 1; attempt <= attempts; attempt++) {
+        if (signal?.aborted) throw signal.reason;
+
+        // A pick that fails (e.g. an answer that does not fit the schema) uses up
+        // the attempt like a candidate that does not work
+        let candidate;
+        try {
+          candidate = await pick(failures, attempt);
+          if (candidate === null || candidate === undefined) break;
+
+          const result = await act(candidate, attempt);
+          await verify(candidate, result);
+          record('ok');
+          return { candidate, result };
+        } catch (error) {
+          if (signal?.aborted) throw signal.reason;
+          if (FINAL_ERRORS.some(type => error instanceof type)) throw error;
+          failures.push({ candidate: candidate === undefined ? '(no answer)' : label(candidate), error: error.message });
+        }
+      }
+
+      const tried = failures.map(failure => `"${failure.candidate}" (${failure.error})`).join(', ');
+      throw new errorType(tried ? `${name} failed after ${failures.length} attempt(s): ${tried}` : `${name} found nothing to try`, { details: { failures } });
+    } catch (error) {
+      record('failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  function skip(name, reason) {
+    steps.push({ name, status: 'skipped', reason });
+  }
+
+  return { run, retry, skip, steps };
+}
+
+function okResult(data, steps = []) {
+  return { ok: true, data, error: null, steps };
+}
+
+function errorResult(error, steps = []) {
+  return { ok: false, data: null, error: toErrorInfo(error), steps };
+}
+
+export { createStepLog, okResult, errorResult };
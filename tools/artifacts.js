@@ -0,0 +1,99 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Files produced by the agents (invoice PDFs) and how they are named.
+// The template may use {provider}, {facturaId}, {date}, {timestamp}, {runId}
+// and {ext}; {runId} keeps concurrent runs for the same invoice apart.
+const DOWNLOAD_DIR = process.env.DOWNLOAD_DIR || path.join(process.cwd(), '.cache', 'downloads');
+const DOWNLOAD_NAME_TEMPLATE = process.env.DOWNLOAD_NAME_TEMPLATE || '{provider}-{facturaId}-{runId}{ext}';
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.txt': 'text/plain',
+  '.zip': 'application/zip',
+  '.html': 'text/html'
+};
+
+function getMimeType(fileName) {
+  return MIME_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+}
+
+// Values never add folders: separators and odd characters become "_"
+function renderFileName(template, values) {
+  const name = template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    if (!(key in values)) {
+      throw new Error(`Unknown placeholder ${placeholder} in file name template "${template}"`);
+    }
+    return String(values[key] ?? '').replace(/[^\w.-]+/g, '_');
+  });
+
+  if (!name || name.startsWith('.')) {
+    throw new Error(`File name template "${template}" produced an invalid name: "${name}"`);
+  }
+  return name;
+}
+
+// Build the target path for a new artifact inside outputDir
+function getArtifactPath({ outputDir = DOWNLOAD_DIR, template = DOWNLOAD_NAME_TEMPLATE, values = {}, ext = '' }) {
+  const now = new Date();
+  const fileName = renderFileName(template, {
+    date: now.toISOString().slice(0, 10),
+    timestamp: now.getTime(),
+    runId: crypto.randomBytes(4).toString('hex'),
+    ext,
+    ...values
+  });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  return path.join(outputDir, fileName);
+}
+
+// Descriptor returned to callers: { path, fileName, size, sha256, mimeType, temporary }.
+// Temporary artifacts are deleted by whoever delivers them (see cleanupArtifact).
+async function createArtifact(filePath, { temporary = false } = {}) {
+  const content = await fs.promises.readFile(filePath);
+  return {
+    path: filePath,
+    fileName: path.basename(filePath),
+    size: content.length,
+    sha256: crypto.createHash('sha256').update(content).digest('hex'),
+    mimeType: getMimeType(filePath),
+    temporary
+  };
+}
+
+function cleanupArtifact(artifact) {
+  if (!artifact?.path || !fs.existsSync(artifact.path)) return false;
+  fs.unlinkSync(artifact.path);
+  return true;
+}
+
+// Remove files older than maxAgeMs, for artifacts that were never delivered
+function cleanupExpiredArtifacts(outputDir, maxAgeMs, now = Date.now()) {
+  if (!fs.existsSync(outputDir)) return [];
+
+  return fs.readdirSync(outputDir)
+    .map(fileName => path.join(outputDir, fileName))
+    .filter(filePath => {
+      const stats = fs.statSync(filePath);
+      return stats.isFile() && now - stats.mtimeMs > maxAgeMs;
+    })
+    .map(filePath => {
+      fs.unlinkSync(filePath);
+      return filePath;
+    });
+}
+
+export {
+  DOWNLOAD_DIR,
+  DOWNLOAD_NAME_TEMPLATE,
+  getMimeType,
+  renderFileName,
+  getArtifactPath,
+  createArtifact,
+  cleanupArtifact,
+  cleanupExpiredArtifacts
+};
@@ -0,0 +1,127 @@
+import path from 'path';
+import { getAudioDuration, detectSilences, extractAudioSegment } from './ffmpeg.js';
+
+// Long recordings are transcribed in overlapping chunks. Each cut is moved to
+// the nearest pause before the target length when there is one, so words are
+// rarely split, and the overlap covers the cuts that land mid-word.
+const CHUNK_SECONDS = 10 * 60;
+const CHUNK_OVERLAP_SECONDS = 5;
+
+// [{ index, start, end }] in seconds. A silence is used for the cut when its
+// middle falls in the last searchSeconds of the chunk.
+function planChunks({ duration, chunkSeconds = CHUNK_SECONDS, overlapSeconds = CHUNK_OVERLAP_SECONDS, silences = [], searchSeconds = Math.min(60, chunkSeconds / 4) }) {
+  if (overlapSeconds >= chunkSeconds / 2) {
+    throw new Error(`The chunk overlap (${overlapSeconds}s) must be shorter than half a chunk (${chunkSeconds}s)`);
+  }
+
+  const chunks = [];
+  let cut = 0;
+  while (cut < duration) {
+    const start = chunks.length === 0 ? 0 : Math.max(0, cut - overlapSeconds);
+    const target = cut + chunkSeconds;
+    let end = duration;
+
+    if (target < duration) {
+      const pauses = silences
+        .map(silence => (silence.start + silence.end) / 2)
+        .filter(middle => middle > target - searchSeconds && middle <= target);
+      end = pauses.length > 0 ? pauses[pauses.length - 1] : target;
+    }
+
+    chunks.push({ index: chunks.length, start, end });
+    cut = end;
+  }
+  return chunks;
+}
+
+// Writes one MP3 per planned chunk into workDir: [{ index, start, end, path }]
+async function splitAudio(audioPath, workDir, { chunkSeconds = CHUNK_SECONDS, overlapSeconds = CHUNK_OVERLAP_SECONDS } = {}) {
+  const duration = await getAudioDuration(audioPath);
+  const silences = await detectSilences(audioPath);
+  const chunks = planChunks({ duration, chunkSeconds, overlapSeconds, silences });
+
+  for (const chunk of chunks) {
+    chunk.path = path.join(workDir, `chunk-${String(chunk.index).padStart(3, '0')}.mp3`);
+    await extractAudioSegment(audioPath, chunk.path, { start: chunk.start, duration: chunk.end - chunk.start });
+  }
+  return chunks;
+}
+
+const normalizeWord = word => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+// The words of `next` after the longest run of words that ends `previous` and
+// starts `next`, i.e. what is new once the overlap is removed
+function trimOverlap(previous, next, maxWords = 40) {
+  const tail = previous.split(/\s+/).filter(Boolean).slice(-maxWords).map(normalizeWord);
+  const nextWords = next.split(/\s+/).filter(Boolean);
+  const head = nextWords.slice(0, maxWords).map(normalizeWord);
+
+  for (let length = Math.min(tail.length, head.length); length > 0; length--) {
+    const suffix = tail.slice(tail.length - length);
+    if (suffix.every((word, index) => word === head[index])) {
+      return nextWords.slice(length).join(' ');
+    }
+  }
+  return nextWords.join(' ');
+}
+
+// Join two texts whose audio overlapped, keeping the shared words once
+function mergeOverlappingText(previous, next) {
+  return [previous.trim(), trimOverlap(previous, next)].filter(Boolean).join(' ');
+}
+
+// A segment ending this close to the end of its chunk was probably cut off
+const CUT_MARGIN_SECONDS = 0.5;
+
+// Stitch the chunk results ({ chunk, text, segments }, in chunk order) into one
+// transcription. Segment times are moved to the whole file. A segment cut off by
+// the end of its chunk is dropped when the next chunk heard all of it, and what
+// the next chunk heard again in the overlap is trimmed away. Without segments
+// the texts are merged word by word.
+function stitchTranscripts(results) {
+  const withSegments = results.every(result => Array.isArray(result.segments));
+  if (!withSegments) {
+    return {
+      text: results.reduce((text, result) => text ? mergeOverlappingText(text, result.text) : result.text.trim(), ''),
+      segments: null
+    };
+  }
+
+  const segments = [];
+  results.forEach((result, index) => {
+    const { start, end } = result.chunk;
+    const next = results[index + 1]?.chunk;
+
+    result.segments
+      .map(segment => ({ ...segment, start: segment.start + start, end: segment.end + start, text: segment.text.trim() }))
+      .forEach(segment => {
+        if (next && segment.end >= end - CUT_MARGIN_SECONDS && segment.start >= next.start) return;
+
+        const last = segments[segments.length - 1];
+        if (last && segment.start < last.end) {
+          if (segment.end <= last.end + CUT_MARGIN_SECONDS) return;
+          const text = trimOverlap(last.text, segment.text);
+          if (text) {
+            segments.push({ ...segment, start: last.end, text });
+          }
+          return;
+        }
+        segments.push(segment);
+      });
+  });
+
+  const renumbered = segments.map((segment, id) => ({ ...segment, id }));
+  return {
+    text: renumbered.map(segment => segment.text).join(' '),
+    segments: renumbered
+  };
+}
+
+export {
+  CHUNK_SECONDS,
+  CHUNK_OVERLAP_SECONDS,
+  planChunks,
+  splitAudio,
+  mergeOverlappingText,
+  stitchTranscripts
+};
@@ -0,0 +1,122 @@
+import { chromium } from 'playwright';
+import fs from 'fs';
+
+// Headless by default so the agent runs on servers without a display,
+// use HEADLESS=false (or browserOptions.headless) to watch it work
+const DEFAULT_BROWSER_OPTIONS = {
+  headless: process.env.HEADLESS !== 'false',
+  slowMo: 0,
+  viewport: { width: 1280, height: 800 },
+  locale: 'es-AR',
+  userAgent: undefined,
+  proxy: undefined, // { server, username, password }
+  storageStatePath: undefined
+};
+
+function getLaunchOptions(options) {
+  return {
+    headless: options.headless,
+    slowMo: options.slowMo,
+    proxy: options.proxy,
+  };
+}
+
+function getContextOptions(options) {
+  return {
+    permissions: [],
+    geolocation: { latitude: 0, longitude: 0 },
+    viewport: options.viewport,
+    locale: options.locale,
+    userAgent: options.userAgent,
+    proxy: options.proxy,
+    storageState: options.storageStatePath && fs.existsSync(options.storageStatePath) ? options.storageStatePath : undefined,
+  };
+}
+
+// Every invocation gets its own browser, context and page, nothing is shared
+async function initializeBrowser(browserOptions = {}) {
+  const options = { ...DEFAULT_BROWSER_OPTIONS, ...browserOptions };
+  const browser = await chromium.launch(getLaunchOptions(options));
+  const context = await browser.newContext(getContextOptions(options));
+  const page = await context.newPage();
+  return { browser, context, page, close: () => browser.close() };
+}
+
+// Keeps a single Chromium process alive and hands out at most `size` browser
+// contexts at a time. Each acquire() gets a fresh context (no cookies leak
+// between users); callers over the limit wait until a context is released.
+// Launch options (headless, slowMo) are pool-wide, context options can be
+// overridden per acquire().
+function createBrowserPool({ size = 2, browserOptions = {} } = {}) {
+  const poolOptions = { ...DEFAULT_BROWSER_OPTIONS, ...browserOptions };
+  const waiting = [];
+  let active = 0;
+  let browserPromise = null;
+
+  function getBrowser() {
+    if (!browserPromise) {
+      browserPromise = chromium.launch(getLaunchOptions(poolOptions)).then(browser => {
+        browser.on('disconnected', () => { browserPromise = null; });
+        return browser;
+      });
+      browserPromise.catch(() => { browserPromise = null; });
+    }
+    return browserPromise;
+  }
+
+  // Hand the slot straight to the next waiter so the limit is never exceeded
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  }
+
+  async function acquire(contextOverrides = {}) {
+    if (active >= size) {
+      await new Promise(resolve => waiting.push(resolve));
+    } else {
+      active++;
+    }
+
+    try {
+      const browser = await getBrowser();
+      const context = await browser.newContext(getContextOptions({ ...poolOptions, ...contextOverrides }));
+      const page = await context.newPage();
+      let released = false;
+
+      const close = async () => {
+        if (released) return;
+        released = true;
+        await context.close().catch(() => {});
+        releaseSlot();
+      };
+
+      return { browser, context, page, close };
+    } catch (error) {
+      releaseSlot();
+      throw error;
+    }
+  }
+
+  async function close() {
+    if (!browserPromise) return;
+    const browser = await browserPromise;
+    browserPromise = null;
+    await browser.close();
+  }
+
+  return {
+    acquire,
+    close,
+    stats: () => ({ size, active, waiting: waiting.length })
+  };
+}
+
+export {
+  DEFAULT_BROWSER_OPTIONS,
+  initializeBrowser,
+  createBrowserPool
+};
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Local credential store: one AES-256-GCM encrypted entry per owner (e.g. a
+// Telegram user id) and provider. The key is derived from VAULT_KEY, which must
+// be set in the environment and never stored next to the vault file.
+const VAULT_PATH = process.env.VAULT_PATH || path.join(process.cwd(), '.cache', 'credentials.vault.json');
+const ALGORITHM = 'aes-256-gcm';
+
+// scrypt is slow on purpose, so the key is derived once per VAULT_KEY value
+let derivedKey = null;
+
+function isVaultConfigured() {
+  return Boolean(process.env.VAULT_KEY);
+}
+
+function getVaultKey() {
+  if (!isVaultConfigured()) {
+    throw new Error('VAULT_KEY is not set. Configure it to store credentials.');
+  }
+  if (derivedKey?.secret !== process.env.VAULT_KEY) {
+    derivedKey = { secret: process.env.VAULT_KEY, key: crypto.scryptSync(process.env.VAULT_KEY, 'teo-agent-ia-vault', 32) };
+  }
+  return derivedKey.key;
+}
+
+// A missing file is an empty vault. One that cannot be parsed is an error: the
+// next setCredentials would otherwise drop the credentials of every owner.
+function readVault() {
+  if (!fs.existsSync(VAULT_PATH)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(VAULT_PATH, 'utf-8'));
+  } catch (error) {
+    throw new Error(`The credential vault at ${VAULT_PATH} could not be read (${error.message}). Repair or move the file away before storing credentials.`, { cause: error });
+  }
+}
+
+// Written next to the vault and renamed over it, so a crash mid-write leaves the old file
+function writeVault(vault) {
+  fs.mkdirSync(path.dirname(VAULT_PATH), { recursive: true });
+  const tempPath = `${VAULT_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(vault, null, 2), { encoding: 'utf-8', mode: 0o600 });
+  fs.renameSync(tempPath, VAULT_PATH);
+}
+
+// The owner and provider are bound as additional data, so an entry copied to
+// another user or provider fails to decrypt
+function encryptEntry(owner, provider, credentials) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getVaultKey(), iv);
+  cipher.setAAD(Buffer.from(`${owner}:${provider}`));
+  const data = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf-8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+function decryptEntry(owner, provider, entry) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, getVaultKey(), Buffer.from(entry.iv, 'base64'));
+  decipher.setAAD(Buffer.from(`${owner}:${provider}`));
+  decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+  const data = Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]);
+  return JSON.parse(data.toString('utf-8'));
+}
+
+function setCredentials(owner, provider, { username, password }) {
+  const vault = readVault();
+  const ownerKey = String(owner);
+
+  vault[ownerKey] = vault[ownerKey] || {};
+  vault[ownerKey][provider] = encryptEntry(ownerKey, provider, { username, password });
+  writeVault(vault);
+}
+
+// Returns { username, password } or null when nothing is stored
+function getCredentials(owner, provider) {
+  const ownerKey = String(owner);
+  const entry = readVault()[ownerKey]?.[provider];
+  if (!entry) return null;
+
+  try {
+    return decryptEntry(ownerKey, provider, entry);
+  } catch (error) {
+    throw new Error(`Stored credentials for ${provider} could not be decrypted. Was VAULT_KEY changed?`);
+  }
+}
+
+function listCredentialProviders(owner) {
+  return Object.keys(readVault()[String(owner)] || {});
+}
+
+// Without a provider every credential of the owner is removed
+function forgetCredentials(owner, provider) {
+  const vault = readVault();
+  const ownerKey = String(owner);
+  if (!vault[ownerKey]) return false;
+
+  if (provider) {
+    if (!vault[ownerKey][provider]) return false;
+    delete vault[ownerKey][provider];
+  } else {
+    delete vault[ownerKey];
+  }
+
+  writeVault(vault);
+  return true;
+}
+
+export {
+  VAULT_PATH,
+  isVaultConfigured,
+  setCredentials,
+  getCredentials,
+  listCredentialProviders,
+  forgetCredentials
+};
@@ -0,0 +1,57 @@
+// Minimal 5-field cron expressions ("minute hour day-of-month month day-of-week")
+// with *, numbers, lists (1,15), ranges (1-5) and steps (*/15, 8-18/2).
+// Times are matched in the server's local time zone.
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // 0 and 7 are both Sunday, like in crontab
+  { name: 'dayOfWeek', min: 0, max: 7, normalize: value => value % 7 }
+];
+
+function parseField(text, { name, min, max, normalize = value => value }, expression) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [start, end] = range === '*' ? [min, max] : range.split('-').map(Number);
+    if (end === undefined) end = stepText === undefined ? start : max;
+
+    if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron expression "${expression}": bad ${name} field "${text}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(normalize(value));
+    }
+  });
+
+  return { values, any: text === '*' };
+}
+
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+
+  return Object.fromEntries(CRON_FIELDS.map((field, index) => [field.name, parseField(parts[index], field, expression)]));
+}
+
+// Like cron, when both day fields are restricted either one may match
+function matchesCron(schedule, date = new Date()) {
+  const dayOfMonth = schedule.dayOfMonth.values.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.values.has(date.getDay());
+  const dayMatches = schedule.dayOfMonth.any || schedule.dayOfWeek.any
+    ? dayOfMonth && dayOfWeek
+    : dayOfMonth || dayOfWeek;
+
+  return dayMatches &&
+    schedule.minute.values.has(date.getMinutes()) &&
+    schedule.hour.values.has(date.getHours()) &&
+    schedule.month.values.has(date.getMonth() + 1);
+}
+
+export { parseCron, matchesCron };
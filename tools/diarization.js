@@ -0,0 +1,128 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runTool, convertToWav } from './ffmpeg.js';
+
+// Who spoke when. The diarization model runs outside Node: DIARIZATION_CMD is called as
+// `<cmd> <wavPath> <rttmPath> [numSpeakers]` and must write RTTM to rttmPath, the format
+// pyannote.audio writes with write_rttm (e.g. a small script around pyannote/speaker-diarization-3.1)
+const DIARIZATION_CMD = process.env.DIARIZATION_CMD || '';
+const DIARIZATION_TIMEOUT_MS = 30 * 60 * 1000;
+
+// RTTM lines: SPEAKER <file> <channel> <start> <duration> <NA> <NA> <speaker> <NA> <NA>
+// Returns [{ start, end, speaker }] in seconds, sorted by start
+function parseRttm(rttm) {
+  return rttm.split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(fields => fields[0] === 'SPEAKER' && fields.length >= 8)
+    .map(fields => {
+      const start = parseFloat(fields[3]);
+      return { start, end: start + parseFloat(fields[4]), speaker: fields[7] };
+    })
+    .filter(turn => Number.isFinite(turn.start) && Number.isFinite(turn.end))
+    .sort((a, b) => a.start - b.start);
+}
+
+// The model's labels (SPEAKER_00, spk3...) become SPEAKER_1, SPEAKER_2... in order of first appearance
+function labelSpeakers(turns) {
+  const labels = new Map();
+  return turns.map(turn => {
+    if (!labels.has(turn.speaker)) {
+      labels.set(turn.speaker, `SPEAKER_${labels.size + 1}`);
+    }
+    return { ...turn, speaker: labels.get(turn.speaker) };
+  });
+}
+
+// Each transcript segment gets the speaker who talks the longest during it, or the
+// closest turn when none overlaps (a segment that falls in a gap between turns)
+function assignSpeakers(segments, turns) {
+  if (turns.length === 0) return segments.map(segment => ({ ...segment, speaker: null }));
+
+  return segments.map(segment => {
+    const spoken = new Map();
+    turns.forEach(turn => {
+      const overlap = Math.min(segment.end, turn.end) - Math.max(segment.start, turn.start);
+      if (overlap > 0) {
+        spoken.set(turn.speaker, (spoken.get(turn.speaker) || 0) + overlap);
+      }
+    });
+
+    if (spoken.size > 0) {
+      const [speaker] = [...spoken.entries()].sort((a, b) => b[1] - a[1])[0];
+      return { ...segment, speaker };
+    }
+
+    const middle = (segment.start + segment.end) / 2;
+    const distance = turn => Math.max(turn.start - middle, middle - turn.end, 0);
+    const closest = turns.reduce((best, turn) => distance(turn) < distance(best) ? turn : best);
+    return { ...segment, speaker: closest.speaker };
+  });
+}
+
+// names: { SPEAKER_1: 'Ana' }; the keys are the labels the segments have now,
+// so a speaker already renamed to 'Ana' is renamed again with { Ana: 'Ana Gómez' }
+function renameSpeakers(segments, names = {}) {
+  return segments.map(segment => ({ ...segment, speaker: names[segment.speaker]?.trim() || segment.speaker }));
+}
+
+// [{ speaker, segments, seconds }] in order of first appearance
+function summarizeSpeakers(segments) {
+  const speakers = new Map();
+  segments.filter(segment => segment.speaker).forEach(segment => {
+    const summary = speakers.get(segment.speaker) || { speaker: segment.speaker, segments: 0, seconds: 0 };
+    summary.segments++;
+    summary.seconds = Math.round((summary.seconds + segment.end - segment.start) * 10) / 10;
+    speakers.set(segment.speaker, summary);
+  });
+  return [...speakers.values()];
+}
+
+// "SPEAKER_1: ..." paragraphs, one per change of speaker
+function formatSpeakerText(segments) {
+  const turns = [];
+  segments.forEach(segment => {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === segment.speaker) {
+      last.text += ` ${segment.text.trim()}`;
+    } else {
+      turns.push({ speaker: segment.speaker, text: segment.text.trim() });
+    }
+  });
+  return turns.map(turn => turn.speaker ? `${turn.speaker}: ${turn.text}` : turn.text).join('\n\n');
+}
+
+// Speaker turns of the whole recording, labelled SPEAKER_n. numSpeakers is a hint
+// for the model when the caller knows how many people talk.
+async function diarizeAudio(audioPath, { numSpeakers, timeoutMs = DIARIZATION_TIMEOUT_MS } = {}) {
+  if (!DIARIZATION_CMD) {
+    throw new Error('Speaker diarization is not configured. Set DIARIZATION_CMD to a command that writes RTTM (see tools/diarization.js).');
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'diarization-'));
+  try {
+    const wavPath = path.join(workDir, 'audio.wav');
+    await convertToWav(audioPath, wavPath);
+
+    const rttmPath = path.join(workDir, 'audio.rttm');
+    await runTool(DIARIZATION_CMD, [wavPath, rttmPath, ...(numSpeakers ? [String(numSpeakers)] : [])], {
+      timeout: timeoutMs,
+      hint: 'Set DIARIZATION_CMD to the diarization script.'
+    });
+
+    return labelSpeakers(parseRttm(await fs.promises.readFile(rttmPath, 'utf-8')));
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+export {
+  DIARIZATION_CMD,
+  parseRttm,
+  labelSpeakers,
+  assignSpeakers,
+  renameSpeakers,
+  summarizeSpeakers,
+  formatSpeakerText,
+  diarizeAudio
+};
@@ -0,0 +1,75 @@
+// Error types shared by the agents. Each class sets `name`, so callers can
+// switch on error.name the same way they already do for the job queue
+// rejections (TimeoutError, CancelledError).
+class AgentError extends Error {
+  constructor(message, { cause, details } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.details = details;
+  }
+}
+
+// The provider rejected the credentials
+class AuthFailedError extends AgentError {}
+// The page does not have the element the agent (or the LLM) was looking for
+class ElementNotFoundError extends AgentError {}
+// The model answer did not match the structured output schema
+class LlmSchemaError extends AgentError {}
+class DownloadFailedError extends AgentError {}
+// Every transcription service failed; details.attempts says why
+class TranscriptionProviderError extends AgentError {}
+class TimeoutError extends AgentError {}
+class CancelledError extends AgentError {}
+
+const ERROR_TYPES = [
+  'AuthFailedError',
+  'ElementNotFoundError',
+  'LlmSchemaError',
+  'DownloadFailedError',
+  'TranscriptionProviderError',
+  'TimeoutError',
+  'CancelledError'
+];
+
+// What the CLI and the bot tell the user for each error type
+const USER_MESSAGES = {
+  AuthFailedError: '🔐 Login failed. Please check your username and password for this provider.',
+  ElementNotFoundError: '🧭 The provider website looks different than expected, so I could not find what I needed. Please try again later.',
+  LlmSchemaError: '🤖 The AI model gave an answer I could not understand. Please try again.',
+  DownloadFailedError: '📥 The invoice was found but its PDF could not be downloaded.',
+  TranscriptionProviderError: '🎤 None of the transcription services could process the audio. Please try again later.',
+  TimeoutError: '⏰ The request took too long and was stopped.',
+  CancelledError: '🛑 The request was cancelled.',
+  UnknownError: '❌ Something went wrong. Please try again later.'
+};
+
+// Plain object for result envelopes and job records: { type, message, details }.
+// Errors from other libraries keep their message but become UnknownError,
+// except Playwright timeouts, which already use the TimeoutError name.
+function toErrorInfo(error) {
+  const type = ERROR_TYPES.includes(error?.name) ? error.name : 'UnknownError';
+  return {
+    type,
+    message: error?.message || String(error),
+    ...(error?.details ? { details: error.details } : {})
+  };
+}
+
+// Accepts an error or the { type } object of a result envelope
+function getUserMessage(error) {
+  const type = error?.type || toErrorInfo(error).type;
+  return USER_MESSAGES[type] || USER_MESSAGES.UnknownError;
+}
+
+export {
+  AgentError,
+  AuthFailedError,
+  ElementNotFoundError,
+  LlmSchemaError,
+  DownloadFailedError,
+  TranscriptionProviderError,
+  TimeoutError,
+  CancelledError,
+  toErrorInfo,
+  getUserMessage
+};
@@ -0,0 +1,85 @@
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// ffmpeg and ffprobe from the PATH unless FFMPEG_PATH / FFPROBE_PATH say otherwise
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const MEDIA_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Runs a command line tool; a missing binary fails with `hint` instead of "spawn ENOENT"
+async function runTool(command, args, { timeout = MEDIA_TIMEOUT_MS, hint = '' } = {}) {
+  try {
+    return await execFileAsync(command, args, { timeout, maxBuffer: 64 * 1024 * 1024 });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`${command} not found. ${hint}`.trim());
+    }
+    throw new Error(`${path.basename(command)} failed: ${(error.stderr || error.message).trim()}`);
+  }
+}
+
+function runFfmpeg(args, options = {}) {
+  return runTool(FFMPEG_PATH, ['-y', '-loglevel', 'error', ...args], { hint: 'Install ffmpeg or set FFMPEG_PATH.', ...options });
+}
+
+// Duration in seconds
+async function getAudioDuration(audioPath) {
+  const { stdout } = await runTool(FFPROBE_PATH, ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', audioPath], {
+    hint: 'Install ffmpeg (it ships ffprobe) or set FFPROBE_PATH.'
+  });
+  const duration = parseFloat(stdout);
+  if (!Number.isFinite(duration)) {
+    throw new Error(`Could not read the duration of ${audioPath}`);
+  }
+  return duration;
+}
+
+// Parses the silencedetect filter log into [{ start, end }] in seconds
+function parseSilences(log) {
+  const silences = [];
+  let start = null;
+  log.split('\n').forEach(line => {
+    const started = line.match(/silence_start:\s*(-?[\d.]+)/);
+    const ended = line.match(/silence_end:\s*([\d.]+)/);
+    if (started) {
+      start = Math.max(0, parseFloat(started[1]));
+    } else if (ended && start !== null) {
+      silences.push({ start, end: parseFloat(ended[1]) });
+      start = null;
+    }
+  });
+  return silences;
+}
+
+// Pauses of at least minSeconds quieter than noiseDb
+async function detectSilences(audioPath, { noiseDb = -30, minSeconds = 0.5 } = {}) {
+  // silencedetect logs at info level, on stderr
+  const { stderr } = await runTool(FFMPEG_PATH, ['-hide_banner', '-nostats', '-i', audioPath, '-af', `silencedetect=noise=${noiseDb}dB:d=${minSeconds}`, '-f', 'null', '-'], {
+    hint: 'Install ffmpeg or set FFMPEG_PATH.'
+  });
+  return parseSilences(stderr);
+}
+
+// A mono 64 kbps MP3 of [start, start + duration): ten minutes stay under 5MB
+function extractAudioSegment(audioPath, outputPath, { start, duration }) {
+  return runFfmpeg(['-ss', String(start), '-t', String(duration), '-i', audioPath, '-ac', '1', '-ar', '16000', '-c:a', 'libmp3lame', '-b:a', '64k', outputPath]);
+}
+
+// 16 kHz mono 16-bit WAV, the input whisper.cpp expects
+function convertToWav(audioPath, outputPath) {
+  return runFfmpeg(['-i', audioPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', outputPath]);
+}
+
+export {
+  FFMPEG_PATH,
+  FFPROBE_PATH,
+  runTool,
+  getAudioDuration,
+  parseSilences,
+  detectSilences,
+  extractAudioSegment,
+  convertToWav
+};
@@ -13,9 +13,9 @@ const getInputIds = async ({ page }) => {
 };
 
 // Herramienta para insertar valor en un input por ID
-const insertInputValue = async ({ page, inputId, value }) => {
+const insertInputValue = async ({ page, inputId, value, timeout }) => {
     try {
-        await page.waitForSelector(`#${inputId}`);
+        await page.waitForSelector(`#${inputId}`, { timeout });
         await page.fill(`#${inputId}`, value);
         return {
             status: "success",
@@ -112,11 +112,175 @@ async function getTable({ page }) {
   }
 }
 
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function getSpan(attributes, name) {
+  const match = attributes.match(new RegExp(`${name}\\s*=\\s*["']?(\\d+)`, 'i'));
+  const span = match ? parseInt(match[1], 10) : 1;
+  return span > 0 ? span : 1;
+}
+
+// Split the HTML of ONE table into raw rows of cells. Text inside nested tables
+// is skipped: those tables are returned on their own by getTable.
+function tokenizeTable(html) {
+  const tokenRegex = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z0-9]+)([^>]*)>|([^<]+)/g;
+  const rows = [];
+  let depth = 0;
+  let section = null;
+  let row = null;
+  let cell = null;
+  let token;
+
+  while ((token = tokenRegex.exec(html)) !== null) {
+    const [, closing, rawTag, attributes = '', text] = token;
+
+    if (text !== undefined) {
+      if (cell && depth === 1) cell.text += text;
+      continue;
+    }
+    if (!rawTag) continue;
+
+    const tag = rawTag.toLowerCase();
+    if (tag === 'table') {
+      depth += closing ? -1 : 1;
+      continue;
+    }
+    if (depth !== 1) continue;
+
+    if (['thead', 'tbody', 'tfoot'].includes(tag)) {
+      section = closing ? null : tag;
+    } else if (tag === 'tr') {
+      if (!closing) {
+        row = { section, cells: [] };
+        rows.push(row);
+      } else {
+        row = null;
+      }
+      cell = null;
+    } else if (tag === 'td' || tag === 'th') {
+      if (!closing) {
+        if (!row) {
+          row = { section, cells: [] };
+          rows.push(row);
+        }
+        cell = {
+          header: tag === 'th',
+          text: '',
+          colspan: getSpan(attributes, 'colspan'),
+          rowspan: getSpan(attributes, 'rowspan')
+        };
+        row.cells.push(cell);
+      } else {
+        cell = null;
+      }
+    } else if (tag === 'br' && cell) {
+      cell.text += ' ';
+    }
+  }
+
+  return rows;
+}
+
+// Lay the cells on a grid so colspan/rowspan values are repeated where they apply
+function buildGrid(rows) {
+  const grid = [];
+
+  rows.forEach((row, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let column = 0;
+
+    row.cells.forEach(cell => {
+      while (grid[rowIndex][column]) column++;
+      const value = { text: decodeEntities(cell.text).replace(/\s+/g, ' ').trim(), header: cell.header };
+
+      for (let r = 0; r < cell.rowspan; r++) {
+        grid[rowIndex + r] = grid[rowIndex + r] || [];
+        for (let c = 0; c < cell.colspan; c++) {
+          grid[rowIndex + r][column + c] = value;
+        }
+      }
+      column += cell.colspan;
+    });
+  });
+
+  return grid.slice(0, rows.length).map((cells, index) => ({
+    section: rows[index].section,
+    cells: Array.from(cells, value => value || { text: '', header: false })
+  }));
+}
+
+function uniqueHeaders(headers) {
+  const seen = {};
+  return headers.map((header, index) => {
+    const name = header || `column_${index + 1}`;
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] > 1 ? `${name}_${seen[name]}` : name;
+  });
+}
+
+// Turn the outerHTML of a <table> into { headers, rows } where each row is an
+// object keyed by header. Header rows are the <thead> rows or the leading rows
+// made only of <th>; if there are none the first row is used.
+function parseTableHTML(html) {
+  const grid = buildGrid(tokenizeTable(html));
+  if (grid.length === 0) {
+    return { headers: [], rows: [], headerSource: 'none' };
+  }
+
+  let headerCount = grid.findIndex(row => row.section !== 'thead' && !row.cells.every(cell => cell.header));
+  if (headerCount === -1) headerCount = grid.length;
+  let headerSource = 'th';
+  if (headerCount === 0) {
+    headerCount = 1;
+    headerSource = 'first-row';
+  }
+
+  const width = Math.max(...grid.map(row => row.cells.length));
+  const headerRows = grid.slice(0, headerCount);
+  const headers = uniqueHeaders(Array.from({ length: width }, (_, column) => {
+    const parts = headerRows.map(row => row.cells[column]?.text).filter(Boolean);
+    return parts.filter((part, index) => parts.indexOf(part) === index).join(' ');
+  }));
+
+  const rows = grid.slice(headerCount)
+    .filter(row => row.cells.some(cell => cell.text))
+    .map(row => Object.fromEntries(headers.map((header, column) => [header, row.cells[column]?.text ?? ''])));
+
+  return { headers, rows, headerSource };
+}
+
+async function getParsedTables({ page }) {
+  const tableResult = await getTable({ page });
+  if (!tableResult.success) {
+    return { ...tableResult, tables: [] };
+  }
+
+  const tables = tableResult.tableElements.map(({ tableHTML }) => parseTableHTML(tableHTML));
+  return {
+    success: true,
+    tables,
+    tableElements: tableResult.tableElements,
+    message: `Parsed ${tables.length} table elements`
+  };
+}
+
 // Don't forget to add it to your exports
 export {
     getInputIds,
     insertInputValue,
     getButtonElements,
     getAnchorElements,
-    getTable
+    getTable,
+    parseTableHTML,
+    getParsedTables
 };
\ No newline at end of file
@@ -0,0 +1,188 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Every invoice the agent fetched, keyed by owner (Telegram user id or
+// username), provider and invoice id:
+// { [owner]: { [provider]: { [facturaId]: { ...invoice, pdfPath, firstSeenAt, updatedAt } } } }
+// Downloaded PDFs are copied to HISTORY_DIR/pdfs/<owner hash>/<provider>/.
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(process.cwd(), '.cache', 'history');
+const HISTORY_PATH = path.join(HISTORY_DIR, 'invoices.json');
+
+const EXPORT_COLUMNS = ['provider', 'facturaId', 'issueDate', 'expirationDate', 'amount', 'currency', 'status', 'pdfPath', 'firstSeenAt', 'updatedAt'];
+
+// A missing file is an empty history. One that cannot be parsed is an error:
+// the next save would otherwise replace the whole history with the new invoices.
+function readHistory() {
+  if (!fs.existsSync(HISTORY_PATH)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(HISTORY_PATH, 'utf-8'));
+  } catch (error) {
+    throw new Error(`The invoice history at ${HISTORY_PATH} could not be read (${error.message}). Repair or move the file away to keep saving invoices.`, { cause: error });
+  }
+}
+
+// Written next to the history and renamed over it, so a crash mid-write leaves the old file
+function writeHistory(history) {
+  fs.mkdirSync(HISTORY_DIR, { recursive: true });
+  const tempPath = `${HISTORY_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(history, null, 2), 'utf-8');
+  fs.renameSync(tempPath, HISTORY_PATH);
+}
+
+// Folder names use a hash of the owner, like the session store
+function getArchiveDir(owner, provider) {
+  const ownerHash = crypto.createHash('sha256').update(String(owner)).digest('hex').slice(0, 16);
+  return path.join(HISTORY_DIR, 'pdfs', ownerHash, provider);
+}
+
+// Copy (not move) the PDF, callers may still deliver and delete the original
+function archivePdf(owner, provider, facturaId, sourcePath) {
+  const archiveDir = getArchiveDir(owner, provider);
+  const safeName = String(facturaId).replace(/[^\w.-]+/g, '_');
+  const archivePath = path.join(archiveDir, `${safeName}.pdf`);
+
+  fs.mkdirSync(archiveDir, { recursive: true });
+  fs.copyFileSync(sourcePath, archivePath);
+  return archivePath;
+}
+
+// invoices are normalized ({ facturaId, issueDate, expirationDate, amount, currency, status }),
+// pdfPaths maps facturaId to a downloaded file that should be archived
+function recordInvoices(owner, provider, invoices, { pdfPaths = {} } = {}) {
+  const history = readHistory();
+  const ownerKey = String(owner);
+  const now = new Date().toISOString();
+
+  history[ownerKey] = history[ownerKey] || {};
+  history[ownerKey][provider] = history[ownerKey][provider] || {};
+  const entries = history[ownerKey][provider];
+
+  const recorded = invoices.filter(invoice => invoice?.facturaId).map(invoice => {
+    const previous = entries[invoice.facturaId];
+    const pdfPath = pdfPaths[invoice.facturaId] && fs.existsSync(pdfPaths[invoice.facturaId])
+      ? archivePdf(ownerKey, provider, invoice.facturaId, pdfPaths[invoice.facturaId])
+      : previous?.pdfPath || null;
+
+    entries[invoice.facturaId] = {
+      ...previous,
+      ...invoice,
+      pdfPath,
+      firstSeenAt: previous?.firstSeenAt || now,
+      updatedAt: now
+    };
+    return entries[invoice.facturaId];
+  });
+
+  writeHistory(history);
+  return recorded;
+}
+
+// The date an invoice is accounted to: issue date, else expiration date
+function getInvoiceDate(invoice) {
+  return invoice.issueDate || invoice.expirationDate || null;
+}
+
+// Newest first, each entry carries its provider
+function getHistory(owner, { provider, since } = {}) {
+  const byProvider = readHistory()[String(owner)] || {};
+
+  return Object.entries(byProvider)
+    .filter(([id]) => !provider || id === provider)
+    .flatMap(([id, entries]) => Object.values(entries).map(entry => ({ provider: id, ...entry })))
+    .filter(entry => !since || (getInvoiceDate(entry) || '') >= since)
+    .sort((a, b) => (getInvoiceDate(b) || '').localeCompare(getInvoiceDate(a) || ''));
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportHistory(entries, format = 'csv') {
+  if (format === 'json') {
+    return JSON.stringify(entries, null, 2);
+  }
+  if (format !== 'csv') {
+    throw new Error(`Unknown export format: ${format}. Use csv or json.`);
+  }
+
+  const lines = entries.map(entry => EXPORT_COLUMNS.map(column => toCsvValue(entry[column])).join(','));
+  return [EXPORT_COLUMNS.join(','), ...lines].join('\n');
+}
+
+// Totals per provider, currency and month ('YYYY-MM') or year ('YYYY'),
+// oldest period first. Invoices without a date or amount are left out.
+function summarizeSpending(entries, { period = 'month' } = {}) {
+  if (period !== 'month' && period !== 'year') {
+    throw new Error(`Unknown summary period: ${period}. Use month or year.`);
+  }
+
+  const totals = new Map();
+  entries.forEach(entry => {
+    const date = getInvoiceDate(entry);
+    if (!date || typeof entry.amount !== 'number') return;
+
+    const key = [period === 'month' ? date.slice(0, 7) : date.slice(0, 4), entry.provider, entry.currency].join('|');
+    const total = totals.get(key) || { period: key.split('|')[0], provider: entry.provider, currency: entry.currency, total: 0, count: 0 };
+    total.total = Math.round((total.total + entry.amount) * 100) / 100;
+    total.count++;
+    totals.set(key, total);
+  });
+
+  return Array.from(totals.values())
+    .sort((a, b) => a.period.localeCompare(b.period) || a.provider.localeCompare(b.provider));
+}
+
+function monthsBetween(fromDate, toDate) {
+  const [fromYear, fromMonth] = fromDate.split('-').map(Number);
+  const [toYear, toMonth] = toDate.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+// Compare the latest invoice of each provider with the one before it, e.g.
+// { provider, facturaId, amount, previousAmount, changePercent, message:
+//   'sancor invoice A-0003 is 18% higher than last month' }
+function detectTrends(entries, { minChangePercent = 0 } = {}) {
+  const byProvider = new Map();
+  entries
+    .filter(entry => getInvoiceDate(entry) && typeof entry.amount === 'number')
+    .forEach(entry => {
+      const key = `${entry.provider}|${entry.currency}`;
+      byProvider.set(key, [...(byProvider.get(key) || []), entry]);
+    });
+
+  const trends = [];
+  byProvider.forEach(providerEntries => {
+    const [latest, previous] = providerEntries.sort((a, b) => getInvoiceDate(b).localeCompare(getInvoiceDate(a)));
+    if (!previous || previous.amount === 0) return;
+
+    const changePercent = Math.round(((latest.amount - previous.amount) / previous.amount) * 100);
+    if (Math.abs(changePercent) < minChangePercent) return;
+
+    const direction = changePercent >= 0 ? 'higher' : 'lower';
+    const reference = monthsBetween(getInvoiceDate(previous), getInvoiceDate(latest)) === 1 ? 'last month' : `the previous invoice (${previous.facturaId})`;
+    trends.push({
+      provider: latest.provider,
+      facturaId: latest.facturaId,
+      amount: latest.amount,
+      previousAmount: previous.amount,
+      changePercent,
+      message: changePercent === 0
+        ? `${latest.provider} invoice ${latest.facturaId} is the same as ${reference}`
+        : `${latest.provider} invoice ${latest.facturaId} is ${Math.abs(changePercent)}% ${direction} than ${reference}`
+    });
+  });
+
+  return trends;
+}
+
+export {
+  HISTORY_DIR,
+  recordInvoices,
+  getHistory,
+  exportHistory,
+  summarizeSpending,
+  detectTrends
+};
@@ -0,0 +1,55 @@
+// Compares the invoices found on a scheduled check with what a subscription
+// already saw, and decides which new-invoice alerts and due-date reminders to send.
+
+// Only the most recent ids are remembered so the subscription stays small
+const MAX_TRACKED_INVOICES = 50;
+
+// Whole days from `now` (local date) to an ISO date, null without a date
+function daysUntil(isoDate, now = new Date()) {
+  const match = String(isoDate || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((Date.UTC(year, month - 1, day) - today) / (24 * 60 * 60 * 1000));
+}
+
+// subscription: { reminderDays, seenInvoiceIds?, remindedInvoiceIds? }
+// Returns { notifications: [{ type: 'new' | 'reminder', invoice, daysLeft }], seenInvoiceIds, remindedInvoiceIds }.
+// The first check only records what exists, so subscribing does not alert
+// about every old invoice.
+function checkInvoices(subscription, invoices, { now = new Date() } = {}) {
+  const firstCheck = !subscription.seenInvoiceIds;
+  const seen = new Set(subscription.seenInvoiceIds || []);
+  const reminded = new Set(subscription.remindedInvoiceIds || []);
+  const notifications = [];
+
+  invoices.forEach(invoice => {
+    const id = invoice.facturaId;
+    if (!id) return;
+
+    const daysLeft = daysUntil(invoice.expirationDate, now);
+    if (!firstCheck && !seen.has(id)) {
+      notifications.push({ type: 'new', invoice, daysLeft });
+    }
+
+    const dueSoon = daysLeft !== null && daysLeft >= 0 && daysLeft <= subscription.reminderDays;
+    if (invoice.status !== 'paid' && dueSoon && !reminded.has(id)) {
+      notifications.push({ type: 'reminder', invoice, daysLeft });
+      reminded.add(id);
+    }
+  });
+
+  // Ids on the current page go first so they are the last ones dropped
+  const currentIds = invoices.map(invoice => invoice.facturaId).filter(Boolean);
+  const remember = (previous, ids) =>
+    Array.from(new Set([...currentIds.filter(id => ids.has(id)), ...previous])).slice(0, MAX_TRACKED_INVOICES);
+
+  return {
+    notifications,
+    seenInvoiceIds: remember(subscription.seenInvoiceIds || [], new Set(currentIds)),
+    remindedInvoiceIds: remember(subscription.remindedInvoiceIds || [], reminded)
+  };
+}
+
+export { daysUntil, checkInvoices };
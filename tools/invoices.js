@@ -0,0 +1,143 @@
+// Helpers to normalize and filter invoice rows extracted from provider tables
+
+const INVOICE_STATUSES = ['paid', 'unpaid', 'unknown'];
+
+// Accepts ISO dates and the dd/mm/yyyy style used by most Argentinian sites
+function normalizeDate(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    return text.slice(0, 10);
+  }
+
+  const match = text.match(/^(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{2}|\d{4})$/);
+  if (!match) return null;
+
+  const [, day, month, year] = match;
+  const fullYear = year.length === 2 ? `20${year}` : year;
+  return `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+// "$ 12.345,67", "12,345.67" and "1.234" all become plain numbers
+function normalizeAmount(value) {
+  if (typeof value === 'number') return value;
+  if (!value) return null;
+
+  let text = String(value).replace(/[^\d,.-]/g, '');
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma > lastDot) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (lastDot > -1 && lastComma === -1 && /^-?\d{1,3}(\.\d{3})+$/.test(text)) {
+    text = text.replace(/\./g, '');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(text);
+  return Number.isNaN(amount) ? null : amount;
+}
+
+function normalizeStatus(value) {
+  if (!value) return 'unknown';
+  const text = String(value).toLowerCase();
+
+  // Check unpaid and negated wording first: "impaga" contains "paga", "no pagada" contains "pagada"
+  if (/\b(no|sin|not)\s+(est[aá]\s+)?(pag|abon|paid|cancel)/.test(text)) return 'unpaid';
+  if (/unpaid|impag|pendiente|adeud|vencid|a pagar/.test(text)) return 'unpaid';
+  if (/paid|pagad|pagada|cancelad|abonad/.test(text)) return 'paid';
+  return 'unknown';
+}
+
+function normalizeInvoice(row, { currency = 'ARS' } = {}) {
+  return {
+    facturaId: row.facturaId ? String(row.facturaId).trim() : null,
+    issueDate: normalizeDate(row.issueDate),
+    expirationDate: normalizeDate(row.expirationDate),
+    amount: normalizeAmount(row.amount),
+    currency: row.currency || currency,
+    status: normalizeStatus(row.status)
+  };
+}
+
+function filterInvoices(invoices, { onlyUnpaid = false, since, limit } = {}) {
+  const sinceDate = normalizeDate(since);
+  let result = invoices;
+
+  if (onlyUnpaid) {
+    result = result.filter(invoice => invoice.status !== 'paid');
+  }
+
+  if (sinceDate) {
+    result = result.filter(invoice => {
+      const date = invoice.expirationDate || invoice.issueDate;
+      return date && date >= sinceDate;
+    });
+  }
+
+  if (limit) {
+    result = result.slice(0, Number(limit));
+  }
+
+  return result;
+}
+
+function normalizeHeader(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Map each field to exactly one header using the profile column hints (a header
+// name or a list of synonyms). Returns null when a required column is missing
+// or matches several headers, i.e. when the headers are ambiguous.
+function matchInvoiceColumns(headers, columnHints, { optional = ['status'] } = {}) {
+  const mapping = {};
+
+  for (const [field, hint] of Object.entries(columnHints)) {
+    const wanted = [].concat(hint).map(normalizeHeader);
+    const exact = headers.filter(header => wanted.includes(normalizeHeader(header)));
+    const candidates = exact.length > 0
+      ? exact
+      : headers.filter(header => wanted.some(name => normalizeHeader(header).includes(name)));
+
+    if (candidates.length === 1) {
+      mapping[field] = candidates[0];
+    } else if (!optional.includes(field)) {
+      return null;
+    }
+  }
+
+  return mapping;
+}
+
+// Pick the invoice columns out of the parsed tables by header name. Only one
+// table may match; anything else is left for the LLM to sort out.
+function extractInvoiceRows(tables, columnHints) {
+  const matches = tables
+    .map(table => ({ table, columns: matchInvoiceColumns(table.headers, columnHints) }))
+    .filter(match => match.columns);
+
+  if (matches.length !== 1) return null;
+
+  const { table, columns } = matches[0];
+  return table.rows.map(row =>
+    Object.fromEntries(Object.entries(columns).map(([field, header]) => [field, row[header]]))
+  );
+}
+
+export {
+  INVOICE_STATUSES,
+  normalizeDate,
+  normalizeAmount,
+  normalizeStatus,
+  normalizeInvoice,
+  filterInvoices,
+  matchInvoiceColumns,
+  extractInvoiceRows
+};
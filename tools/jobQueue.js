@@ -0,0 +1,97 @@
+import { randomUUID } from 'crypto';
+import { TimeoutError, CancelledError } from './errors.js';
+
+// In-process FIFO queue running at most `concurrency` jobs at a time.
+// A job is `async (signal) => result`; the signal aborts when the job is
+// cancelled or exceeds its timeout, and the job promise rejects right away
+// even if the task ignores the signal.
+function createJobQueue({ concurrency = 2, timeoutMs = 0 } = {}) {
+  const pending = [];
+  const running = new Map();
+
+  function run(job) {
+    job.status = 'running';
+    job.startedAt = Date.now();
+    running.set(job.id, job);
+
+    const aborted = new Promise((resolve, reject) => {
+      job.controller.signal.addEventListener('abort', () => reject(job.controller.signal.reason), { once: true });
+    });
+
+    const timer = job.timeoutMs > 0
+      ? setTimeout(() => job.controller.abort(new TimeoutError(`Job timed out after ${job.timeoutMs}ms`)), job.timeoutMs)
+      : null;
+
+    Promise.race([Promise.resolve().then(() => job.task(job.controller.signal)), aborted])
+      .then(result => {
+        job.status = 'done';
+        job.resolve(result);
+      }, error => {
+        job.status = job.controller.signal.aborted ? 'cancelled' : 'failed';
+        job.reject(error);
+      })
+      .finally(() => {
+        clearTimeout(timer);
+        running.delete(job.id);
+        drain();
+      });
+  }
+
+  function drain() {
+    while (running.size < concurrency && pending.length > 0) {
+      run(pending.shift());
+    }
+  }
+
+  // Returns { id, position, promise, signal }; position is 0 when the job started
+  // right away and signal is aborted once the job is cancelled or times out
+  function enqueue(task, { id = randomUUID(), timeoutMs: jobTimeoutMs = timeoutMs, meta = {} } = {}) {
+    const job = { id, task, meta, timeoutMs: jobTimeoutMs, status: 'queued', controller: new AbortController() };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    pending.push(job);
+    drain();
+
+    return { id, position: getPosition(id), promise: job.promise, signal: job.controller.signal };
+  }
+
+  function getPosition(id) {
+    return pending.findIndex(job => job.id === id) + 1;
+  }
+
+  function cancel(id, reason = 'Job cancelled') {
+    const index = pending.findIndex(job => job.id === id);
+    if (index !== -1) {
+      const [job] = pending.splice(index, 1);
+      job.status = 'cancelled';
+      job.controller.abort(new CancelledError(reason));
+      job.reject(job.controller.signal.reason);
+      return true;
+    }
+
+    const job = running.get(id);
+    if (job) {
+      job.controller.abort(new CancelledError(reason));
+      return true;
+    }
+
+    return false;
+  }
+
+  function list() {
+    return [...running.values(), ...pending].map(({ id, status, meta }) => ({ id, status, meta }));
+  }
+
+  return {
+    enqueue,
+    cancel,
+    getPosition,
+    list,
+    stats: () => ({ concurrency, running: running.size, queued: pending.length })
+  };
+}
+
+export { createJobQueue };
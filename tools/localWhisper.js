@@ -0,0 +1,93 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runTool, convertToWav } from './ffmpeg.js';
+
+// Offline, CPU-only transcription with whisper.cpp (https://github.com/ggml-org/whisper.cpp).
+// Needs the whisper-cli binary (or WHISPER_CPP_PATH), ffmpeg (see tools/ffmpeg.js) and a
+// ggml model in WHISPER_MODELS_DIR, e.g. ggml-base.bin from huggingface.co/ggerganov/whisper.cpp
+const WHISPER_CPP_PATH = process.env.WHISPER_CPP_PATH || 'whisper-cli';
+const WHISPER_MODELS_DIR = process.env.WHISPER_MODELS_DIR || path.join(process.cwd(), '.cache', 'whisper-models');
+const WHISPER_MODEL_SIZE = process.env.WHISPER_MODEL_SIZE || 'base';
+const WHISPER_THREADS = Number(process.env.WHISPER_THREADS) || Math.min(4, os.cpus().length || 1);
+const WHISPER_TIMEOUT_MS = 10 * 60 * 1000;
+
+const WHISPER_MODEL_SIZES = [
+  'tiny', 'tiny.en', 'base', 'base.en', 'small', 'small.en',
+  'medium', 'medium.en', 'large-v1', 'large-v2', 'large-v3', 'large-v3-turbo'
+];
+
+function getWhisperModelPath(modelSize = WHISPER_MODEL_SIZE) {
+  if (!WHISPER_MODEL_SIZES.includes(modelSize)) {
+    throw new Error(`Unknown whisper model size "${modelSize}". Use one of: ${WHISPER_MODEL_SIZES.join(', ')}`);
+  }
+  return path.join(WHISPER_MODELS_DIR, `ggml-${modelSize}.bin`);
+}
+
+// -oj writes <outputBase>.json, -np keeps the progress output out of stdout
+function buildWhisperArgs({ modelPath, wavPath, outputBase, language = 'auto', threads = WHISPER_THREADS }) {
+  return [
+    '-m', modelPath,
+    '-f', wavPath,
+    '-l', language || 'auto',
+    '-t', String(threads),
+    '-oj',
+    '-of', outputBase,
+    '-np'
+  ];
+}
+
+// whisper.cpp JSON: { result: { language }, transcription: [{ offsets: { from, to }, text }] }
+// with offsets in milliseconds. Segments are returned as { id, start, end, text } in
+// seconds, the fields the cloud backends' verbose_json segments have.
+function parseWhisperOutput(output) {
+  const segments = (output.transcription || [])
+    .map(segment => ({
+      start: segment.offsets.from / 1000,
+      end: segment.offsets.to / 1000,
+      text: segment.text.trim()
+    }))
+    .filter(segment => segment.text)
+    .map((segment, index) => ({ id: index, ...segment }));
+
+  return {
+    text: segments.map(segment => segment.text).join(' '),
+    segments,
+    language: output.result?.language || null
+  };
+}
+
+// Returns { text, segments, language }; throws when the binary, the model or
+// the audio cannot be used, so the caller can fall back to a cloud service
+async function transcribeWithWhisperCpp(audioPath, { modelSize = WHISPER_MODEL_SIZE, language = 'auto', threads = WHISPER_THREADS, timeoutMs = WHISPER_TIMEOUT_MS } = {}) {
+  const modelPath = getWhisperModelPath(modelSize);
+  if (!fs.existsSync(modelPath)) {
+    throw new Error(`Whisper model not found at ${modelPath}. Download ggml-${modelSize}.bin into ${WHISPER_MODELS_DIR}.`);
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'whisper-'));
+  try {
+    const wavPath = path.join(workDir, 'audio.wav');
+    await convertToWav(audioPath, wavPath);
+
+    const outputBase = path.join(workDir, 'transcript');
+    await runTool(WHISPER_CPP_PATH, buildWhisperArgs({ modelPath, wavPath, outputBase, language, threads }), {
+      timeout: timeoutMs,
+      hint: 'Build whisper.cpp and set WHISPER_CPP_PATH to its whisper-cli binary.'
+    });
+
+    const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf-8'));
+    return parseWhisperOutput(output);
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+export {
+  WHISPER_MODELS_DIR,
+  WHISPER_MODEL_SIZES,
+  getWhisperModelPath,
+  buildWhisperArgs,
+  parseWhisperOutput,
+  transcribeWithWhisperCpp
+};
@@ -0,0 +1,68 @@
+import { normalizeDate } from './invoices.js';
+
+// Meeting minutes extracted from a transcription (see agents/meetingMinutesAgent.js):
+// { title, meetingDate, attendees, decisions, actionItems: [{ task, owner, dueDate }],
+//   openQuestions, nextMeeting }
+// Dates are YYYY-MM-DD when the model gave one that can be read, its own words otherwise.
+
+const MINUTES_FORMATS = ['markdown', 'json'];
+
+const cleanList = items => [...new Set((items || []).map(item => String(item).trim()).filter(Boolean))];
+const cleanDate = value => normalizeDate(value) || (value ? String(value).trim() || null : null);
+
+// Trims the model answer, drops empty and repeated entries and normalizes the dates
+function normalizeMinutes(minutes, { meetingDate = null } = {}) {
+  return {
+    title: minutes.title?.trim() || 'Meeting',
+    meetingDate: cleanDate(meetingDate),
+    attendees: cleanList(minutes.attendees),
+    decisions: cleanList(minutes.decisions),
+    actionItems: (minutes.actionItems || [])
+      .filter(item => item.task?.trim())
+      .map(item => ({
+        task: item.task.trim(),
+        owner: item.owner?.trim() || null,
+        dueDate: cleanDate(item.dueDate)
+      })),
+    openQuestions: cleanList(minutes.openQuestions),
+    nextMeeting: cleanDate(minutes.nextMeeting)
+  };
+}
+
+function markdownList(items) {
+  return items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '_None_';
+}
+
+function formatMinutesMarkdown(minutes) {
+  const actionItems = minutes.actionItems.map(item => {
+    const details = [`owner: ${item.owner || 'unassigned'}`, ...(item.dueDate ? [`due: ${item.dueDate}`] : [])];
+    return `- [ ] ${item.task} (${details.join(', ')})`;
+  });
+
+  return [
+    `# ${minutes.title}`,
+    ...(minutes.meetingDate ? [`**Date:** ${minutes.meetingDate}`] : []),
+    `## Attendees\n${markdownList(minutes.attendees)}`,
+    `## Decisions\n${markdownList(minutes.decisions)}`,
+    `## Action items\n${actionItems.join('\n') || '_None_'}`,
+    `## Open questions\n${markdownList(minutes.openQuestions)}`,
+    `## Next meeting\n${minutes.nextMeeting || '_Not scheduled_'}`
+  ].join('\n\n') + '\n';
+}
+
+function exportMinutes(minutes, format = 'markdown') {
+  if (format === 'json') {
+    return JSON.stringify(minutes, null, 2);
+  }
+  if (format !== 'markdown') {
+    throw new Error(`Unknown minutes format: ${format}. Use ${MINUTES_FORMATS.join(' or ')}.`);
+  }
+  return formatMinutesMarkdown(minutes);
+}
+
+export {
+  MINUTES_FORMATS,
+  normalizeMinutes,
+  formatMinutesMarkdown,
+  exportMinutes
+};
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { z } from 'zod';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { normalizeDate, normalizeAmount } from './invoices.js';
+
+// pdf.js needs its standard fonts folder when the PDF does not embed them
+const require = createRequire(import.meta.url);
+const STANDARD_FONTS_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+// Structured data read from an invoice PDF (Argentinian "factura electrónica")
+const PDF_INVOICE_SCHEMA = z.object({
+  issuer: z.string().nullable().describe("The company that issued the invoice, null if not shown"),
+  cuit: z.string().nullable().describe("The issuer CUIT as XX-XXXXXXXX-X, null if not shown"),
+  period: z.string().nullable().describe("The billed period as YYYY-MM, null if not shown"),
+  lineItems: z.array(z.object({
+    description: z.string(),
+    amount: z.number()
+  })).describe("Every billed concept with its amount as a plain number, without taxes"),
+  taxes: z.array(z.object({
+    name: z.string(),
+    amount: z.number()
+  })).describe("Every tax line (IVA, percepciones, ingresos brutos...) with its amount as a plain number"),
+  total: z.number().nullable().describe("The invoice total as a plain number"),
+  expirationDate: z.string().nullable().describe("The due date in ISO format (YYYY-MM-DD), null if not shown"),
+  cae: z.string().nullable().describe("The 14 digit CAE authorization code, null if not shown")
+});
+
+// One line per text row of every page
+async function extractPdfText(filePath) {
+  const data = new Uint8Array(await fs.promises.readFile(filePath));
+  const document = await getDocument({ data, standardFontDataUrl: STANDARD_FONTS_DIR, isEvalSupported: false, verbosity: 0 }).promise;
+
+  try {
+    const lines = [];
+    for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+      const page = await document.getPage(pageNumber);
+      const content = await page.getTextContent();
+      let line = '';
+
+      content.items.forEach(item => {
+        line += item.str;
+        if (item.hasEOL) {
+          lines.push(line);
+          line = '';
+        }
+      });
+      if (line) lines.push(line);
+    }
+    return lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+  } finally {
+    await document.destroy();
+  }
+}
+
+// A money amount at the end of a line: "$ 125.900,41", "1,234.50"
+const TRAILING_AMOUNT = /(?:\$\s*)?(-?\d[\d.,]*[.,]\d{2})\s*$/;
+const TAX_LABEL = /\biva\b|percepci|impuesto|ingresos brutos|\biibb\b|\btasa\b/i;
+const SKIPPED_LABEL = /^(sub)?total\b|vencimiento|\bcae\b|\bcuit\b|saldo/i;
+
+// Reads the fields with simple patterns; returns null when the total cannot
+// be found, so the caller can fall back to the LLM
+function parseInvoiceText(text) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const find = regex => {
+    for (const line of lines) {
+      const match = line.match(regex);
+      if (match) return match;
+    }
+    return null;
+  };
+
+  const totalLine = lines.find(line => /^total\b/i.test(line) && TRAILING_AMOUNT.test(line));
+  if (!totalLine) return null;
+
+  const cuit = find(/CUIT[:\s]*(\d{2})-?(\d{8})-?(\d)/i);
+  const period = find(/Per[ií]odo[:\s]*(\d{1,2})[/-](\d{4})/i);
+  const expiration = find(/Vencimiento[:\s]*(\d{1,2}[/\-.]\d{1,2}[/\-.]\d{2,4}|\d{4}-\d{2}-\d{2})/i);
+  const cae = find(/\bCAE\b\D*(\d{14})/i);
+  const issuer = find(/raz[oó]n social[:\s]+(.+)/i)?.[1] || lines[0].split(/\s+-\s+/)[0];
+
+  const lineItems = [];
+  const taxes = [];
+  lines.forEach(line => {
+    const amount = line.match(TRAILING_AMOUNT);
+    if (!amount || SKIPPED_LABEL.test(line)) return;
+
+    const label = line.slice(0, amount.index).trim();
+    if (!label) return;
+    if (TAX_LABEL.test(label)) {
+      taxes.push({ name: label, amount: normalizeAmount(amount[1]) });
+    } else {
+      lineItems.push({ description: label, amount: normalizeAmount(amount[1]) });
+    }
+  });
+
+  return PDF_INVOICE_SCHEMA.parse({
+    issuer: issuer || null,
+    cuit: cuit ? `${cuit[1]}-${cuit[2]}-${cuit[3]}` : null,
+    period: period ? `${period[2]}-${period[1].padStart(2, '0')}` : null,
+    lineItems,
+    taxes,
+    total: normalizeAmount(totalLine.match(TRAILING_AMOUNT)[1]),
+    expirationDate: expiration ? normalizeDate(expiration[1]) : null,
+    cae: cae ? cae[1] : null
+  });
+}
+
+// Compare what was scraped from the HTML table with the PDF, which is the
+// legal document. Returns the mismatches as { field, expected, actual, message }
+// (expected comes from the PDF); fields missing on either side are skipped.
+function crossCheckInvoice(scraped, pdfDetails, { tolerance = 0.01 } = {}) {
+  const mismatches = [];
+
+  const scrapedAmount = normalizeAmount(scraped.amount);
+  if (scrapedAmount !== null && pdfDetails.total !== null && Math.abs(scrapedAmount - pdfDetails.total) > tolerance) {
+    mismatches.push({
+      field: 'amount',
+      expected: pdfDetails.total,
+      actual: scrapedAmount,
+      message: `The table shows ${scrapedAmount} but the PDF total is ${pdfDetails.total}`
+    });
+  }
+
+  const scrapedDate = normalizeDate(scraped.expirationDate);
+  if (scrapedDate && pdfDetails.expirationDate && scrapedDate !== pdfDetails.expirationDate) {
+    mismatches.push({
+      field: 'expirationDate',
+      expected: pdfDetails.expirationDate,
+      actual: scrapedDate,
+      message: `The table shows due date ${scrapedDate} but the PDF says ${pdfDetails.expirationDate}`
+    });
+  }
+
+  // The PDF should also add up on its own
+  const itemsTotal = Math.round([...pdfDetails.lineItems, ...pdfDetails.taxes].reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+  if (pdfDetails.lineItems.length > 0 && pdfDetails.total !== null && Math.abs(itemsTotal - pdfDetails.total) > tolerance) {
+    mismatches.push({
+      field: 'lineItems',
+      expected: pdfDetails.total,
+      actual: itemsTotal,
+      message: `The PDF line items and taxes add up to ${itemsTotal}, not to its total ${pdfDetails.total}`
+    });
+  }
+
+  return mismatches;
+}
+
+export {
+  PDF_INVOICE_SCHEMA,
+  extractPdfText,
+  parseInvoiceText,
+  crossCheckInvoice
+};
@@ -0,0 +1,90 @@
+import fs from 'fs';
+import path from 'path';
+
+// Selectors the LLM chose on previous successful runs, keyed by site (hostname)
+// and step, e.g. { "www.sancorsalud.com.ar": { usernameInput: { value, recordedAt } } }
+const SELECTOR_CACHE_PATH = process.env.SELECTOR_CACHE_PATH || path.join(process.cwd(), '.cache', 'selectors.json');
+
+// The cache only saves LLM calls, so a file that cannot be parsed is moved aside
+// (kept for a look) and the cache starts over instead of failing the run
+function readSelectorCache() {
+  if (!fs.existsSync(SELECTOR_CACHE_PATH)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(SELECTOR_CACHE_PATH, 'utf-8'));
+  } catch (error) {
+    const corruptPath = `${SELECTOR_CACHE_PATH}.corrupt-${Date.now()}`;
+    fs.renameSync(SELECTOR_CACHE_PATH, corruptPath);
+    console.error(`Selector cache ${SELECTOR_CACHE_PATH} could not be read (${error.message}), moved it to ${corruptPath}`);
+    return {};
+  }
+}
+
+function writeSelectorCache(cache) {
+  fs.mkdirSync(path.dirname(SELECTOR_CACHE_PATH), { recursive: true });
+  fs.writeFileSync(SELECTOR_CACHE_PATH, JSON.stringify(cache, null, 2), 'utf-8');
+}
+
+function getSiteKey(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return url;
+  }
+}
+
+function getCachedSelector(site, step) {
+  const entry = readSelectorCache()[site]?.[step];
+  return entry ? entry.value : null;
+}
+
+// steps is { stepName: value } with the selectors used in a successful run
+function recordSelectors(site, steps) {
+  const cache = readSelectorCache();
+  const recordedAt = new Date().toISOString();
+
+  cache[site] = cache[site] || {};
+  Object.entries(steps).forEach(([step, value]) => {
+    if (value) {
+      cache[site][step] = { value, recordedAt };
+    }
+  });
+
+  writeSelectorCache(cache);
+  return cache[site];
+}
+
+// Replay the selector recorded for this site and step while it still exists on
+// the page (exists(selector) says so), otherwise ask() for a new one
+async function replayOrAsk({ site, step, exists, ask, log = () => {} }) {
+  const cached = getCachedSelector(site, step);
+  if (cached && await exists(cached)) {
+    log(`Replaying cached ${step}: ${cached}`);
+    return cached;
+  }
+  if (cached) {
+    log(`Cached ${step} "${cached}" no longer exists, asking the LLM`);
+  }
+  return ask();
+}
+
+// Without a site every cached selector is dropped
+function resetSelectorCache(site) {
+  if (!site) {
+    writeSelectorCache({});
+    return;
+  }
+
+  const cache = readSelectorCache();
+  delete cache[site];
+  writeSelectorCache(cache);
+}
+
+export {
+  SELECTOR_CACHE_PATH,
+  readSelectorCache,
+  getSiteKey,
+  getCachedSelector,
+  recordSelectors,
+  replayOrAsk,
+  resetSelectorCache
+};
@@ -0,0 +1,38 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Playwright storage state (cookies + localStorage) per provider, owner and credentials.
+// A restored session skips the login, so the file name is derived from who asked
+// (credentialsOwner, e.g. the Telegram user) and the username and password they sent:
+// another owner, or the same username with a different password, never finds it.
+// scrypt keeps the password from being guessed back from the file name.
+const SESSIONS_DIR = process.env.SESSIONS_DIR || path.join(process.cwd(), '.cache', 'sessions');
+
+function getSessionPath(providerId, { owner = '', username, password }) {
+  const key = crypto.scryptSync(JSON.stringify([String(owner), String(username), String(password)]), `session:${providerId}`, 24);
+  return path.join(SESSIONS_DIR, providerId, `${key.toString('hex')}.json`);
+}
+
+function hasSession(sessionPath) {
+  return Boolean(sessionPath) && fs.existsSync(sessionPath);
+}
+
+async function saveSession(context, sessionPath) {
+  await fs.promises.mkdir(path.dirname(sessionPath), { recursive: true });
+  await context.storageState({ path: sessionPath });
+}
+
+function clearSession(sessionPath) {
+  if (hasSession(sessionPath)) {
+    fs.unlinkSync(sessionPath);
+  }
+}
+
+export {
+  SESSIONS_DIR,
+  getSessionPath,
+  hasSession,
+  saveSession,
+  clearSession
+};
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+
+// Bot state that should survive a restart (audio sessions, conversations,
+// invoice jobs). Each collection behaves like a Map; the backend decides
+// where it lives:
+//  - 'memory': nothing is persisted (the previous behaviour)
+//  - 'file': one JSON file, rewritten on every change
+//  - any { load() => state, save(state) } object, e.g. a SQLite adapter
+// Entries are kept as [key, value] pairs so numeric chat ids stay numbers.
+const STATE_PATH = process.env.BOT_STATE_PATH || path.join(process.cwd(), '.cache', 'bot-state.json');
+
+function createFileBackend(filePath = STATE_PATH) {
+  return {
+    load() {
+      try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      } catch (error) {
+        return {};
+      }
+    },
+    // Write to a temporary file first so a crash never leaves half a file
+    save(state) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(state, null, 2), 'utf-8');
+      fs.renameSync(tempPath, filePath);
+    }
+  };
+}
+
+function createStateStore({ backend = 'memory', path: filePath } = {}) {
+  if (backend === 'memory') {
+    return { collection: () => new Map(), backend: 'memory' };
+  }
+
+  const storage = backend === 'file' ? createFileBackend(filePath) : backend;
+  if (typeof storage?.load !== 'function' || typeof storage?.save !== 'function') {
+    throw new Error(`Unknown state backend: ${backend}. Use memory, file or an object with load() and save().`);
+  }
+
+  const initialState = storage.load() || {};
+  const collections = new Map();
+
+  // Collections nobody opened yet are written back untouched
+  function persist() {
+    const state = { ...initialState };
+    collections.forEach(({ entries }, name) => {
+      state[name] = Array.from(entries.entries());
+    });
+    storage.save(state);
+  }
+
+  // Values are persisted when set(); call set() again after mutating one
+  function collection(name) {
+    if (collections.has(name)) {
+      return collections.get(name).view;
+    }
+
+    const entries = new Map(initialState[name] || []);
+    const view = {
+      get: key => entries.get(key),
+      has: key => entries.has(key),
+      set(key, value) {
+        entries.set(key, value);
+        persist();
+        return view;
+      },
+      delete(key) {
+        const deleted = entries.delete(key);
+        if (deleted) persist();
+        return deleted;
+      },
+      clear() {
+        entries.clear();
+        persist();
+      },
+      forEach: callback => entries.forEach((value, key) => callback(value, key, view)),
+      keys: () => entries.keys(),
+      values: () => entries.values(),
+      entries: () => entries.entries(),
+      [Symbol.iterator]: () => entries.entries(),
+      get size() {
+        return entries.size;
+      }
+    };
+
+    collections.set(name, { entries, view });
+    return view;
+  }
+
+  return { collection, backend: backend === 'file' ? 'file' : 'custom' };
+}
+
+export { STATE_PATH, createFileBackend, createStateStore };
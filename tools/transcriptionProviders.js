@@ -0,0 +1,153 @@
+import { TranscriptionProviderError } from './errors.js';
+
+// Named policies; any other policy is an explicit list of provider ids
+const TRANSCRIPTION_POLICIES = ['default', 'cheapest', 'fastest', 'local-only'];
+
+// "cheapest" stays a policy name, "groq-whisper,openai-whisper" becomes an explicit order
+function parsePolicy(value) {
+  if (!value) return 'default';
+  if (Array.isArray(value)) return value;
+  return TRANSCRIPTION_POLICIES.includes(value) ? value : value.split(',').map(id => id.trim()).filter(Boolean);
+}
+
+// Registry of transcription backends. A provider is:
+// { id, name, local, costPerMinute (USD), speed (times real time),
+//   capabilities: { timestamps, maxBytes (null = no limit), languages (null = any) },
+//   isConfigured(options) -> bool, transcribe(audioPath, options) -> { text, timestamps } }
+// A provider that fails is skipped for cooldownMs, unless nothing else is left.
+function createTranscriptionRegistry({ cooldownMs = 5 * 60 * 1000, now = Date.now } = {}) {
+  const providers = new Map();
+  // id -> { consecutiveFailures, lastError, lastFailureAt, lastSuccessAt, skipUntil }
+  const health = new Map();
+
+  function register(definition) {
+    providers.set(definition.id, {
+      name: definition.id,
+      local: false,
+      costPerMinute: 0,
+      speed: 1,
+      isConfigured: () => true,
+      ...definition,
+      capabilities: { timestamps: false, maxBytes: null, languages: null, ...definition.capabilities }
+    });
+  }
+
+  function list() {
+    return Array.from(providers.values());
+  }
+
+  function isCoolingDown(id) {
+    return (health.get(id)?.skipUntil ?? 0) > now();
+  }
+
+  // Why a provider cannot take this request, or null when it can
+  function unsupportedReason(provider, { fileSize, language, includeTimestamps }, options) {
+    const { capabilities } = provider;
+    if (!provider.isConfigured(options)) return 'not configured';
+    if (capabilities.maxBytes && fileSize > capabilities.maxBytes) {
+      return `file is ${(fileSize / 1024 / 1024).toFixed(1)}MB, limit is ${(capabilities.maxBytes / 1024 / 1024).toFixed(0)}MB`;
+    }
+    if (language && language !== 'auto' && capabilities.languages && !capabilities.languages.includes(language)) {
+      return `language ${language} not supported`;
+    }
+    if (includeTimestamps && !capabilities.timestamps) return 'no timestamps';
+    return null;
+  }
+
+  function orderByPolicy(policy) {
+    const all = list();
+    if (Array.isArray(policy)) {
+      const unknown = policy.filter(id => !providers.has(id));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown transcription provider: ${unknown.join(', ')}. Available: ${Array.from(providers.keys()).join(', ')}`);
+      }
+      return policy.map(id => providers.get(id));
+    }
+
+    switch (policy) {
+      case 'default':
+        return all;
+      case 'cheapest':
+        return [...all].sort((a, b) => a.costPerMinute - b.costPerMinute);
+      case 'fastest':
+        return [...all].sort((a, b) => b.speed - a.speed);
+      case 'local-only':
+        return all.filter(provider => provider.local);
+      default:
+        throw new Error(`Unknown transcription policy: ${policy}. Use ${TRANSCRIPTION_POLICIES.join(', ')} or a list of provider ids.`);
+    }
+  }
+
+  // Providers to try, in order, and the ones left out with why. Providers in their
+  // cooldown go last instead of being dropped, so a short outage of every backend
+  // does not fail requests that one of them could still serve.
+  function select({ policy = 'default', fileSize = 0, language = 'auto', includeTimestamps = false } = {}, options = {}) {
+    const skipped = [];
+    const usable = orderByPolicy(parsePolicy(policy)).filter(provider => {
+      const reason = unsupportedReason(provider, { fileSize, language, includeTimestamps }, options);
+      if (reason) skipped.push({ provider: provider.id, reason });
+      return !reason;
+    });
+
+    const healthy = usable.filter(provider => !isCoolingDown(provider.id));
+    const coolingDown = usable.filter(provider => isCoolingDown(provider.id));
+    return { providers: [...healthy, ...coolingDown], skipped };
+  }
+
+  function recordSuccess(id) {
+    health.set(id, { ...health.get(id), consecutiveFailures: 0, lastSuccessAt: now(), skipUntil: 0 });
+  }
+
+  function recordFailure(id, error) {
+    const previous = health.get(id) || {};
+    health.set(id, {
+      ...previous,
+      consecutiveFailures: (previous.consecutiveFailures || 0) + 1,
+      lastError: error.message,
+      lastFailureAt: now(),
+      skipUntil: now() + cooldownMs
+    });
+  }
+
+  // Tries the selected providers in order. Resolves to { ...result, service, attempts }
+  // and throws TranscriptionProviderError with details.attempts when none works.
+  // attempts: [{ provider, status: 'ok' | 'failed' | 'skipped', durationMs?, error?, reason? }]
+  async function transcribe(audioPath, options = {}, request = {}) {
+    const { providers: candidates, skipped } = select({ language: options.language, includeTimestamps: options.includeTimestamps, ...request }, options);
+    const attempts = skipped.map(({ provider, reason }) => ({ provider, status: 'skipped', reason }));
+
+    for (const provider of candidates) {
+      const startedAt = now();
+      try {
+        const result = await provider.transcribe(audioPath, options);
+        recordSuccess(provider.id);
+        attempts.push({ provider: provider.id, status: 'ok', durationMs: now() - startedAt });
+        return { ...result, service: provider.id, attempts };
+      } catch (error) {
+        recordFailure(provider.id, error);
+        attempts.push({ provider: provider.id, status: 'failed', durationMs: now() - startedAt, error: error.message });
+      }
+    }
+
+    const failed = attempts.filter(attempt => attempt.status === 'failed');
+    const message = failed.length > 0
+      ? `Transcription failed: ${failed.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ')}`
+      : `No transcription provider can take this file (${skipped.map(({ provider, reason }) => `${provider}: ${reason}`).join('; ') || 'none registered'})`;
+    throw new TranscriptionProviderError(message, { details: { attempts } });
+  }
+
+  // For /health: [{ id, local, configured, coolingDown, consecutiveFailures, lastError, ... }]
+  function stats() {
+    return list().map(provider => ({
+      id: provider.id,
+      local: provider.local,
+      configured: provider.isConfigured({}),
+      coolingDown: isCoolingDown(provider.id),
+      ...health.get(provider.id)
+    }));
+  }
+
+  return { register, list, select, transcribe, stats };
+}
+
+export { TRANSCRIPTION_POLICIES, parsePolicy, createTranscriptionRegistry };